@@ -0,0 +1,145 @@
+// Unencrypted Bitwarden JSON export, which Bitwarden, 1Password, Proton Pass
+// and KeePassXC can all import. Logins, cards, identities and SSH keys map to
+// Bitwarden's own item types; everything else becomes a secure note with its
+// values as custom fields.
+
+const { ITEM_TYPES, detectCardBrand, sshFingerprint } = require('./item-types');
+
+const BITWARDEN_TYPES = { login: 1, secureNote: 2, card: 3, identity: 4, sshKey: 5 };
+const FIELD_TEXT = 0;
+const FIELD_HIDDEN = 1;
+
+function field(name, value, hidden = false) {
+  return { name, value, type: hidden ? FIELD_HIDDEN : FIELD_TEXT, linkedId: null };
+}
+
+function baseItem(type, name, entry, notes = '') {
+  return {
+    type,
+    name,
+    notes: notes || null,
+    favorite: Boolean(entry.is_favorite),
+    fields: [],
+    folderId: entry.folder_id ? String(entry.folder_id) : null,
+    collectionIds: null
+  };
+}
+
+function loginItem(password) {
+  const customFields = password.custom_fields || [];
+  // Bitwarden has one TOTP slot per login; further TOTP fields stay hidden fields
+  const totpField = customFields.find(custom => custom.type === 'totp');
+  const item = baseItem(BITWARDEN_TYPES.login, password.label, password, password.notes);
+  item.login = {
+    username: password.username || null,
+    password: password.secret || null,
+    totp: totpField ? totpField.value : null,
+    uris: password.url ? [{ match: null, uri: password.url }] : []
+  };
+  item.fields = customFields
+    .filter(custom => custom !== totpField)
+    .map(custom => field(custom.name, custom.value, custom.type === 'hidden' || custom.type === 'totp'));
+  return item;
+}
+
+function noteItem(note) {
+  const item = baseItem(BITWARDEN_TYPES.secureNote, note.title, note, note.content);
+  item.secureNote = { type: 0 };
+  return item;
+}
+
+// Values of an item that have no Bitwarden equivalent, as custom fields
+function extraFields(itemType, data, mappedKeys) {
+  return ITEM_TYPES[itemType].fields
+    .filter(definition => !mappedKeys.includes(definition.key) && data[definition.key])
+    .map(definition => field(definition.label, data[definition.key], definition.concealed));
+}
+
+function cardItem(entry) {
+  const { data } = entry;
+  const [expMonth, expYear] = (data.expiry || '').split('/');
+  const item = baseItem(BITWARDEN_TYPES.card, entry.title, entry);
+  item.card = {
+    cardholderName: data.cardholder || null,
+    brand: data.number ? detectCardBrand(data.number) : null,
+    number: data.number || null,
+    expMonth: expMonth ? String(Number(expMonth)) : null,
+    expYear: expYear ? `20${expYear}` : null,
+    code: data.cvv || null
+  };
+  item.fields = extraFields('card', data, ['cardholder', 'number', 'expiry', 'cvv']);
+  return item;
+}
+
+function identityItem(entry) {
+  const { data } = entry;
+  const item = baseItem(BITWARDEN_TYPES.identity, entry.title, entry);
+  item.identity = {
+    title: null,
+    firstName: data.first_name || null,
+    middleName: data.middle_name || null,
+    lastName: data.last_name || null,
+    address1: data.address || null,
+    address2: null,
+    address3: null,
+    city: data.city || null,
+    state: data.state || null,
+    postalCode: data.postal_code || null,
+    country: data.country || null,
+    company: null,
+    email: data.email || null,
+    phone: data.phone || null,
+    ssn: data.national_id || null,
+    username: null,
+    passportNumber: data.passport_number || null,
+    licenseNumber: data.license_number || null
+  };
+  item.fields = extraFields('identity', data, [
+    'first_name', 'middle_name', 'last_name', 'address', 'city', 'state', 'postal_code',
+    'country', 'email', 'phone', 'national_id', 'passport_number', 'license_number'
+  ]);
+  return item;
+}
+
+function sshKeyItem(entry) {
+  const { data } = entry;
+  const item = baseItem(BITWARDEN_TYPES.sshKey, entry.title, entry);
+  item.sshKey = {
+    privateKey: data.private_key || null,
+    publicKey: data.public_key || null,
+    keyFingerprint: sshFingerprint(data.public_key) || null
+  };
+  item.fields = extraFields('ssh_key', data, ['private_key', 'public_key']);
+  return item;
+}
+
+function genericItem(entry) {
+  const item = baseItem(BITWARDEN_TYPES.secureNote, entry.title, entry, ITEM_TYPES[entry.item_type].label);
+  item.secureNote = { type: 0 };
+  item.fields = extraFields(entry.item_type, entry.data, []);
+  return item;
+}
+
+const ITEM_BUILDERS = { card: cardItem, identity: identityItem, ssh_key: sshKeyItem };
+
+// Bitwarden nests folders by name, as "Parent/Child"
+function folderItem(folder) {
+  return { id: String(folder.id), name: folder.path.split(' / ').join('/') };
+}
+
+function buildBitwardenExport({ passwords = [], notes = [], items = [], folders = [] }) {
+  return {
+    encrypted: false,
+    folders: folders.map(folderItem),
+    items: [
+      ...passwords.map(loginItem),
+      ...notes.map(noteItem),
+      ...items.map(entry => (ITEM_BUILDERS[entry.item_type] || genericItem)(entry))
+    ]
+  };
+}
+
+module.exports = {
+  BITWARDEN_TYPES,
+  buildBitwardenExport
+};
@@ -0,0 +1,115 @@
+// Named, typed custom fields on password entries
+// An entry's fields are kept together as one JSON document in the encrypted
+// passwords.custom_fields column, in the order the user added them.
+
+const totp = require('./totp');
+
+const CUSTOM_FIELD_TYPES = ['text', 'hidden', 'url', 'email', 'date', 'totp'];
+// Masked in the dashboard until revealed, and left out of search
+const CONCEALED_TYPES = ['hidden', 'totp'];
+const MAX_CUSTOM_FIELDS = 50;
+const MAX_FIELD_NAME_LENGTH = 100;
+const MAX_FIELD_VALUE_LENGTH = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// TOTP values may be pasted as an otpauth:// URI; only the secret is kept
+function normalizeTotpSecret(value) {
+  let secret = value;
+  if (/^otpauth:\/\//i.test(secret)) {
+    try {
+      secret = new URL(secret).searchParams.get('secret') || '';
+    } catch (error) {
+      secret = '';
+    }
+  }
+  secret = secret.toUpperCase().replace(/[\s=-]/g, '');
+  if (!secret) return null;
+  try {
+    return totp.base32Decode(secret).length > 0 ? secret : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeValue(name, type, value) {
+  // Hidden values are kept exactly as typed
+  if (type === 'hidden' || type === 'text') return value;
+
+  const trimmed = value.trim();
+  if (!trimmed) return '';
+
+  if (type === 'email' && !EMAIL_PATTERN.test(trimmed)) {
+    throw new Error(`Custom field "${name}" is not a valid email address`);
+  }
+  if (type === 'date' && (!DATE_PATTERN.test(trimmed) || Number.isNaN(Date.parse(trimmed)))) {
+    throw new Error(`Custom field "${name}" must be a date as YYYY-MM-DD`);
+  }
+  if (type === 'totp') {
+    const secret = normalizeTotpSecret(trimmed);
+    if (!secret) {
+      throw new Error(`Custom field "${name}" is not a valid TOTP secret`);
+    }
+    return secret;
+  }
+  return trimmed;
+}
+
+// Validate custom fields from the renderer or an import, returning them as
+// { name, type, value }. Throws with a message naming the first bad field.
+function normalizeCustomFields(input) {
+  if (input === undefined || input === null || input === '') return [];
+  if (!Array.isArray(input)) {
+    throw new Error('Custom fields must be a list');
+  }
+  if (input.length > MAX_CUSTOM_FIELDS) {
+    throw new Error(`An entry can have at most ${MAX_CUSTOM_FIELDS} custom fields`);
+  }
+
+  return input.map((field, position) => {
+    const name = String((field && field.name) || '').trim();
+    const type = String((field && field.type) || 'text').toLowerCase();
+    const value = field && field.value !== undefined && field.value !== null ? String(field.value) : '';
+
+    if (!name) {
+      throw new Error(`Custom field ${position + 1} needs a name`);
+    }
+    if (name.length > MAX_FIELD_NAME_LENGTH) {
+      throw new Error(`Custom field names are limited to ${MAX_FIELD_NAME_LENGTH} characters`);
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      throw new Error(`Custom field "${name}" has an unknown type: ${type}`);
+    }
+    if (value.length > MAX_FIELD_VALUE_LENGTH) {
+      throw new Error(`Custom field "${name}" is longer than ${MAX_FIELD_VALUE_LENGTH} characters`);
+    }
+
+    return { name, type, value: normalizeValue(name, type, value) };
+  });
+}
+
+// The decrypted column; empty or unreadable documents have no fields
+function parseCustomFields(text) {
+  if (!text) return [];
+  try {
+    const fields = JSON.parse(text);
+    return Array.isArray(fields) ? fields.filter(field => field && typeof field.name === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// What copying a field puts on the clipboard: the current code for TOTP
+function customFieldClipboardValue(field, time = Date.now()) {
+  return field.type === 'totp' ? totp.generateCode(field.value, time) : field.value;
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CONCEALED_TYPES,
+  MAX_CUSTOM_FIELDS,
+  normalizeCustomFields,
+  parseCustomFields,
+  customFieldClipboardValue
+};
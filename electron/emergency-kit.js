@@ -0,0 +1,75 @@
+// Printable emergency kit with the account's recovery codes
+// Rendered to HTML here and turned into a PDF with webContents.printToPDF.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderEmergencyKit({ username, codes, createdAt = new Date() }) {
+  const codeItems = codes
+    .map(code => `<li><span class="box"></span><code>${escapeHtml(code)}</code></li>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Password Vault Emergency Kit</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212529; margin: 40px; }
+    h1 { color: #667eea; margin-bottom: 0; }
+    .subtitle { color: #6c757d; margin-top: 4px; }
+    .field { margin: 24px 0; }
+    .label { font-size: 12px; text-transform: uppercase; color: #6c757d; }
+    .value { font-size: 18px; font-weight: 600; }
+    ul { list-style: none; padding: 0; columns: 2; }
+    li { margin: 8px 0; font-size: 16px; }
+    code { font-family: 'Courier New', monospace; letter-spacing: 1px; }
+    .box { display: inline-block; width: 12px; height: 12px; border: 1px solid #212529; margin-right: 10px; }
+    .notice { border: 2px solid #dc3545; border-radius: 8px; padding: 12px 16px; margin-top: 24px; }
+    ol li { margin: 6px 0; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>🔒 Password Vault Emergency Kit</h1>
+  <p class="subtitle">Created ${escapeHtml(createdAt.toLocaleString())}</p>
+
+  <div class="field">
+    <div class="label">Username</div>
+    <div class="value">${escapeHtml(username)}</div>
+  </div>
+
+  <div class="field">
+    <div class="label">Recovery Codes</div>
+    <ul>
+        ${codeItems}
+    </ul>
+  </div>
+
+  <div class="field">
+    <div class="label">If you forget your master password</div>
+    <ol>
+      <li>Open Password Vault and choose <strong>Forgot password? Use a recovery code</strong> on the login screen.</li>
+      <li>Enter your username and one unused code from this page.</li>
+      <li>Choose a new master password. Your vault is unlocked with it from then on.</li>
+      <li>Tick off the code you used. Each code works only once.</li>
+    </ol>
+  </div>
+
+  <div class="notice">
+    Anyone with this page and your username can reset your master password.
+    Print it or store it somewhere offline and safe, and never keep it next to the computer that has your vault.
+    Generating new codes from Account Settings makes every code on this page invalid.
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderEmergencyKit
+};
@@ -0,0 +1,66 @@
+// Password expiry and rotation reminders
+// passwords.expires_at holds a calendar date (YYYY-MM-DD). An entry with a
+// rotation interval (passwords.rotation_days) gets a new expiry date each
+// time its password is changed or marked as rotated.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ROTATION_DAYS = 3650;
+// Entries expiring within this many days count as expiring soon
+const EXPIRY_WARNING_DAYS = 14;
+const DEFAULT_SNOOZE_DAYS = 7;
+
+// The local calendar date of `time`, as YYYY-MM-DD
+function toDateString(time = Date.now()) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(days, time = Date.now()) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+// undefined leaves the stored value alone; '' or null clears it
+function normalizeExpiryDate(value) {
+  if (value === undefined) return undefined;
+  if (value === null || String(value).trim() === '') return null;
+
+  const trimmed = String(value).trim().slice(0, 10);
+  if (!DATE_PATTERN.test(trimmed) || Number.isNaN(Date.parse(trimmed))) {
+    throw new Error('Expiry must be a date as YYYY-MM-DD');
+  }
+  return trimmed;
+}
+
+function normalizeRotationDays(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || Number(value) === 0) return null;
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ROTATION_DAYS) {
+    throw new Error(`Rotation interval must be a whole number of days from 1 to ${MAX_ROTATION_DAYS}`);
+  }
+  return days;
+}
+
+// 'expired', 'expiring' or null for an entry expiring on `expiresAt`
+function expiryStatus(expiresAt, time = Date.now(), warningDays = EXPIRY_WARNING_DAYS) {
+  if (!expiresAt) return null;
+  const date = String(expiresAt).slice(0, 10);
+  if (date <= toDateString(time)) return 'expired';
+  if (date <= addDays(warningDays, time)) return 'expiring';
+  return null;
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  DEFAULT_SNOOZE_DAYS,
+  toDateString,
+  addDays,
+  normalizeExpiryDate,
+  normalizeRotationDays,
+  expiryStatus
+};
@@ -0,0 +1,230 @@
+// Structured vault items: credit cards, identities, SSH keys, software
+// licenses and Wi-Fi networks. Each type is a list of fields; an item's
+// values are kept together as one encrypted JSON document in items.data.
+// The definitions are plain data so they can be sent to the renderer as-is.
+
+const crypto = require('crypto');
+
+// Field kinds decide validation and which form control the dashboard uses.
+// Concealed fields are masked until revealed and left out of search.
+const ITEM_TYPES = {
+  card: {
+    label: 'Credit Card',
+    icon: '💳',
+    fields: [
+      { key: 'cardholder', label: 'Cardholder Name', kind: 'text' },
+      { key: 'number', label: 'Card Number', kind: 'card_number', required: true, concealed: true },
+      { key: 'expiry', label: 'Expiry (MM/YY)', kind: 'expiry' },
+      { key: 'cvv', label: 'Security Code', kind: 'digits', concealed: true, minLength: 3, maxLength: 4 },
+      { key: 'pin', label: 'PIN', kind: 'digits', concealed: true, minLength: 4, maxLength: 12 }
+    ]
+  },
+  identity: {
+    label: 'Identity',
+    icon: '🪪',
+    fields: [
+      { key: 'first_name', label: 'First Name', kind: 'text' },
+      { key: 'middle_name', label: 'Middle Name', kind: 'text' },
+      { key: 'last_name', label: 'Last Name', kind: 'text' },
+      { key: 'birth_date', label: 'Date of Birth', kind: 'date' },
+      { key: 'email', label: 'Email', kind: 'email' },
+      { key: 'phone', label: 'Phone', kind: 'text' },
+      { key: 'address', label: 'Address', kind: 'multiline' },
+      { key: 'city', label: 'City', kind: 'text' },
+      { key: 'state', label: 'State / Region', kind: 'text' },
+      { key: 'postal_code', label: 'Postal Code', kind: 'text' },
+      { key: 'country', label: 'Country', kind: 'text' },
+      { key: 'passport_number', label: 'Passport Number', kind: 'text', concealed: true },
+      { key: 'license_number', label: 'Driver\'s License', kind: 'text', concealed: true },
+      { key: 'national_id', label: 'National ID', kind: 'text', concealed: true }
+    ]
+  },
+  ssh_key: {
+    label: 'SSH Key',
+    icon: '🗝️',
+    fields: [
+      { key: 'private_key', label: 'Private Key', kind: 'ssh_private_key', required: true, concealed: true },
+      { key: 'public_key', label: 'Public Key', kind: 'ssh_public_key' },
+      { key: 'passphrase', label: 'Passphrase', kind: 'text', concealed: true },
+      { key: 'host', label: 'Host', kind: 'text' }
+    ]
+  },
+  license: {
+    label: 'Software License',
+    icon: '📀',
+    fields: [
+      { key: 'product', label: 'Product', kind: 'text', required: true },
+      { key: 'version', label: 'Version', kind: 'text' },
+      { key: 'license_key', label: 'License Key', kind: 'multiline', required: true, concealed: true },
+      { key: 'licensed_to', label: 'Licensed To', kind: 'text' },
+      { key: 'email', label: 'Registered Email', kind: 'email' },
+      { key: 'order_number', label: 'Order Number', kind: 'text' },
+      { key: 'purchase_date', label: 'Purchase Date', kind: 'date' },
+      { key: 'expires', label: 'Expires', kind: 'date' }
+    ]
+  },
+  wifi: {
+    label: 'Wi-Fi Network',
+    icon: '📶',
+    fields: [
+      { key: 'ssid', label: 'Network Name (SSID)', kind: 'text', required: true },
+      { key: 'password', label: 'Password', kind: 'text', concealed: true },
+      { key: 'security', label: 'Security', kind: 'select', options: ['WPA3', 'WPA2', 'WPA', 'WEP', 'None'] }
+    ]
+  }
+};
+
+const MAX_ITEM_VALUE_LENGTH = 20000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXPIRY_PATTERN = /^(0[1-9]|1[0-2])\s*\/\s*(\d{2}|\d{4})$/;
+const SSH_PUBLIC_KEY_PATTERN = /^((?:ssh|sk|ecdsa)-[\w@.-]+)\s+([A-Za-z0-9+/]+={0,2})(?:\s+.*)?$/;
+
+// Luhn (mod 10) checksum used by every major card network
+function isValidLuhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function detectCardBrand(number) {
+  if (/^4/.test(number)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'Mastercard';
+  if (/^3[47]/.test(number)) return 'Amex';
+  if (/^(6011|65|64[4-9])/.test(number)) return 'Discover';
+  if (/^35/.test(number)) return 'JCB';
+  if (/^3(0[0-5]|[68])/.test(number)) return 'Diners Club';
+  return 'Other';
+}
+
+// OpenSSH-style SHA256 fingerprint of a public key, or '' when it has none
+function sshFingerprint(publicKey) {
+  const match = SSH_PUBLIC_KEY_PATTERN.exec(String(publicKey || '').trim());
+  if (!match) return '';
+  const digest = crypto.createHash('sha256').update(Buffer.from(match[2], 'base64')).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+function normalizeValue(field, value) {
+  // Multiline values and secrets are kept exactly as entered
+  if (field.kind === 'multiline' || field.kind === 'ssh_private_key') return value;
+  if (field.concealed && field.kind === 'text') return value;
+
+  const trimmed = value.trim();
+  if (!trimmed) return '';
+
+  switch (field.kind) {
+    case 'card_number': {
+      const digits = trimmed.replace(/[\s-]/g, '');
+      if (!/^\d{12,19}$/.test(digits) || !isValidLuhn(digits)) {
+        throw new Error(`${field.label} is not a valid card number`);
+      }
+      return digits;
+    }
+    case 'expiry': {
+      const match = EXPIRY_PATTERN.exec(trimmed);
+      if (!match) throw new Error(`${field.label} must be a month and year as MM/YY`);
+      return `${match[1]}/${match[2].slice(-2)}`;
+    }
+    case 'digits':
+      if (!/^\d+$/.test(trimmed) || trimmed.length < field.minLength || trimmed.length > field.maxLength) {
+        throw new Error(`${field.label} must be ${field.minLength} to ${field.maxLength} digits`);
+      }
+      return trimmed;
+    case 'email':
+      if (!EMAIL_PATTERN.test(trimmed)) throw new Error(`${field.label} is not a valid email address`);
+      return trimmed;
+    case 'date':
+      if (!DATE_PATTERN.test(trimmed) || Number.isNaN(Date.parse(trimmed))) {
+        throw new Error(`${field.label} must be a date as YYYY-MM-DD`);
+      }
+      return trimmed;
+    case 'ssh_public_key':
+      if (!SSH_PUBLIC_KEY_PATTERN.test(trimmed)) throw new Error(`${field.label} is not an OpenSSH public key`);
+      return trimmed;
+    case 'select':
+      if (!field.options.includes(trimmed)) throw new Error(`${field.label} must be one of ${field.options.join(', ')}`);
+      return trimmed;
+    default:
+      return trimmed;
+  }
+}
+
+// Validate an item's values for its type, returning only the known fields.
+// Throws with a message naming the first invalid field.
+function normalizeItemData(itemType, data) {
+  const definition = ITEM_TYPES[itemType];
+  if (!definition) {
+    throw new Error(`Unknown item type: ${itemType}`);
+  }
+
+  const source = data && typeof data === 'object' ? data : {};
+  const normalized = {};
+  for (const field of definition.fields) {
+    const raw = source[field.key] === undefined || source[field.key] === null ? '' : String(source[field.key]);
+    if (raw.length > MAX_ITEM_VALUE_LENGTH) {
+      throw new Error(`${field.label} is longer than ${MAX_ITEM_VALUE_LENGTH} characters`);
+    }
+    if (field.kind === 'ssh_private_key' && raw.trim() && !/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(raw)) {
+      throw new Error(`${field.label} is not a PEM or OpenSSH private key`);
+    }
+
+    const value = normalizeValue(field, raw);
+    if (field.required && !value.trim()) {
+      throw new Error(`${field.label} is required`);
+    }
+    normalized[field.key] = value;
+  }
+  return normalized;
+}
+
+// The decrypted data column; unreadable documents have no values
+function parseItemData(text) {
+  if (!text) return {};
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// One line describing an item in lists, without concealed values
+function itemSummary(itemType, data) {
+  switch (itemType) {
+    case 'card': {
+      const number = data.number || '';
+      const parts = [number ? `${detectCardBrand(number)} •••• ${number.slice(-4)}` : ''];
+      if (data.expiry) parts.push(`expires ${data.expiry}`);
+      return parts.filter(Boolean).join(', ');
+    }
+    case 'identity':
+      return [data.first_name, data.middle_name, data.last_name].filter(Boolean).join(' ');
+    case 'ssh_key':
+      return sshFingerprint(data.public_key) || (data.host ? `Host ${data.host}` : '');
+    case 'license':
+      return [data.product, data.version].filter(Boolean).join(' ');
+    case 'wifi':
+      return [data.ssid, data.security].filter(Boolean).join(' • ');
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  ITEM_TYPES,
+  isValidLuhn,
+  detectCardBrand,
+  sshFingerprint,
+  normalizeItemData,
+  parseItemData,
+  itemSummary
+};
@@ -1,10 +1,12 @@
-const { app, BrowserWindow, Menu, dialog, shell, ipcMain, clipboard, Notification } = require('electron');
+const { app, BrowserWindow, Menu, dialog, shell, ipcMain, clipboard, Notification, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const sqlite3 = require('sqlite3').verbose();
-const crypto = require('crypto');
-const bcrypt = require('bcrypt');
 const MemoryConfig = require('../memory-config');
+const QRCode = require('qrcode');
+const { renderEmergencyKit } = require('./emergency-kit');
+const { estimateStrength } = require('./password-strength');
+const { VaultRepository } = require('./vault-repository');
+const { VaultService, MAX_ATTACHMENT_SIZE } = require('./vault-service');
 
 // Initialize memory configuration
 const memoryConfig = new MemoryConfig();
@@ -12,21 +14,18 @@ memoryConfig.printConfiguration();
 
 // Keep a global reference of the window object
 let mainWindow;
-let db;
-let currentUser = null;
-let encryptionKey = null;
+// Database access and the vault logic behind the IPC handlers below
+let vaultService;
+let vaultClosing = null;
 
-// Initialize database and encryption key on startup
+// Initialize database on startup
 app.whenReady().then(async () => {
   try {
     // Initialize paths first
     initializePaths();
+    ensureBaseDir();
     console.log('[INFO] Paths initialized');
     
-    // Load encryption key first
-    encryptionKey = loadOrCreateKey();
-    console.log('[INFO] Encryption key loaded successfully');
-    
     // Initialize database
     await initDatabase();
     console.log('[INFO] Database initialized successfully');
@@ -43,9 +42,30 @@ app.whenReady().then(async () => {
     // Create the main window
     createWindow();
     createMenu();
+    
+    // Lock when the machine sleeps or the OS session is locked
+    ['suspend', 'lock-screen'].forEach(eventName => {
+      powerMonitor.on(eventName, () => vaultService.lockOnSystemEvent(eventName));
+    });
+    startExpiryChecker();
   } catch (error) {
     console.error('[ERROR] Failed to initialize app:', error);
-    dialog.showErrorBox('Initialization Error', `Failed to start Password Vault: ${error.message}`);
+    if (error.message === 'DATABASE_TOO_NEW') {
+      dialog.showErrorBox(
+        'Newer Vault Version',
+        `This vault was last opened by a newer version of Password Vault (schema v${error.version}, ` +
+        `this version supports up to v${error.supportedVersion}). Please update the app to open it.`
+      );
+    } else if (error.backupPath) {
+      dialog.showErrorBox(
+        'Initialization Error',
+        `Failed to start Password Vault: ${error.message}\n\n` +
+        `A copy of the vault from before the update was saved to ${error.backupPath}. ` +
+        'It may contain unencrypted entry details; delete it once it is no longer needed.'
+      );
+    } else {
+      dialog.showErrorBox('Initialization Error', `Failed to start Password Vault: ${error.message}`);
+    }
     app.quit();
   }
 });
@@ -66,184 +86,54 @@ if (memoryConfig.shouldEnableGC() && global.gc) {
 
 // Database and encryption setup
 // Use user data directory for persistence in packaged app
-let BASE_DIR, DB_PATH, KEY_FILE, BACKUP_DIR;
+let BASE_DIR, DB_PATH, KEY_FILE, BACKUP_DIR, OPEN_ATTACHMENTS_DIR;
 
 function initializePaths() {
   BASE_DIR = app.getPath('userData');
   DB_PATH = path.join(BASE_DIR, 'passwords.db');
   KEY_FILE = path.join(BASE_DIR, '.secret.key');
   BACKUP_DIR = path.join(BASE_DIR, 'backups');
+  // Decrypted copies of attachments opened in other apps; removed on lock and quit
+  OPEN_ATTACHMENTS_DIR = path.join(app.getPath('temp'), 'password-vault-attachments');
 }
 
-// Encryption functions
-function loadOrCreateKey() {
-  try {
-    let key;
-    
-    // Ensure the base directory exists
-    const fs = require('fs');
-    if (!fs.existsSync(BASE_DIR)) {
-      fs.mkdirSync(BASE_DIR, { recursive: true });
-      console.log('[INFO] Created user data directory');
-    }
-    
-    if (process.env.ENCRYPTION_KEY) {
-      key = Buffer.from(process.env.ENCRYPTION_KEY);
-    } else {
-      try {
-        key = fs.readFileSync(KEY_FILE);
-      } catch (err) {
-        // Generate new key
-        key = crypto.randomBytes(32);
-        fs.writeFileSync(KEY_FILE, key);
-        console.log('[INFO] Generated new encryption key');
-      }
-    }
-    
-    // Ensure key is exactly 32 bytes for AES-256
-    if (key.length !== 32) {
-      if (key.length > 32) {
-        key = key.slice(0, 32);
-      } else {
-        const newKey = Buffer.alloc(32);
-        key.copy(newKey);
-        key = newKey;
-      }
-    }
-    
-    return key;
-  } catch (err) {
-    console.error('Error with encryption key:', err);
-    throw err;
+function ensureBaseDir() {
+  const fs = require('fs');
+  if (!fs.existsSync(BASE_DIR)) {
+    fs.mkdirSync(BASE_DIR, { recursive: true });
+    console.log('[INFO] Created user data directory');
   }
 }
 
-function encrypt(text) {
-  if (text === null || text === undefined) {
-    throw new Error('Cannot encrypt null or undefined value');
+// Close the vault once, after any write still in flight has finished
+function closeVault() {
+  if (!vaultClosing && vaultService) {
+    vaultClosing = vaultService.close().catch((err) => console.error('Failed to close vault:', err));
   }
-  
-  const textString = String(text);
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', encryptionKey, iv);
-  let encrypted = cipher.update(textString, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+  return vaultClosing;
 }
 
-function decrypt(encryptedText) {
-  if (!encryptedText) {
-    throw new Error('Cannot decrypt empty or null value');
-  }
-  
-  const textString = String(encryptedText);
-  
-  // Check for Fernet encryption (from original Flask app)
-  if (textString.startsWith('gAAAAAB')) {
-    throw new Error('FERNET_ENCRYPTED_PASSWORD');
+// Database initialization
+// The schema is created and upgraded by the numbered migrations in
+// migrations.js; add a new migration there instead of editing old ones.
+async function initDatabase() {
+  const repository = await VaultRepository.open(DB_PATH);
+  const result = await repository.migrate({ backupDir: BACKUP_DIR });
+  if (result.applied.length > 0) {
+    console.log(`[INFO] Database schema migrated from v${result.from} to v${result.to}`);
   }
   
-  // Try new format first (with IV)
-  if (textString.includes(':')) {
-    try {
-      const parts = textString.split(':');
-      if (parts.length >= 2) {
-        const ivHex = parts[0];
-        const encryptedHex = parts.slice(1).join(':');
-        
-        // Validate IV length (should be 32 hex chars for 16 bytes)
-        if (ivHex.length === 32) {
-          const iv = Buffer.from(ivHex, 'hex');
-          const decipher = crypto.createDecipheriv('aes-256-cbc', encryptionKey, iv);
-          let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-          decrypted += decipher.final('utf8');
-          return decrypted;
-        }
-      }
-    } catch (error) {
-      console.log('New format decryption failed, trying legacy method');
+  // KEY_FILE is the shared .secret.key of older versions, read only to migrate them
+  vaultService = new VaultService(repository, {
+    kdfParams: () => memoryConfig.getKdfParams(),
+    legacyKeyPath: KEY_FILE
+  });
+  vaultService.on('locked', ({ reason, username }) => {
+    removeOpenedAttachments();
+    notifiedExpiries.clear();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('vault-locked', { reason, username });
     }
-  }
-  
-  // Fall back to old format - but this won't work in Node.js 22+
-  throw new Error('UNSUPPORTED_ENCRYPTION_FORMAT');
-}
-
-
-// Database initialization
-function initDatabase() {
-  return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      // Create tables
-      const queries = [
-        `CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT NOT NULL UNIQUE,
-          email TEXT NOT NULL UNIQUE,
-          password_hash TEXT NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          last_login TIMESTAMP,
-          failed_attempts INTEGER DEFAULT 0,
-          locked_until TIMESTAMP,
-          settings TEXT DEFAULT '{}'
-        )`,
-        `CREATE TABLE IF NOT EXISTS passwords (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          label TEXT NOT NULL,
-          secret BLOB NOT NULL,
-          is_file BOOLEAN DEFAULT 0,
-          file_name TEXT,
-          file_type TEXT,
-          file_size INTEGER,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          category TEXT DEFAULT 'General',
-          tags TEXT DEFAULT '',
-          notes TEXT DEFAULT '',
-          url TEXT DEFAULT '',
-          username TEXT DEFAULT '',
-          is_favorite BOOLEAN DEFAULT 0,
-          password_strength INTEGER DEFAULT 0,
-          last_accessed TIMESTAMP,
-          access_count INTEGER DEFAULT 0,
-          expires_at TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users (id),
-          UNIQUE(user_id, label)
-        )`,
-        `CREATE TABLE IF NOT EXISTS secure_notes (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          title TEXT NOT NULL,
-          content BLOB NOT NULL,
-          category TEXT DEFAULT 'General',
-          tags TEXT DEFAULT '',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          is_favorite BOOLEAN DEFAULT 0,
-          FOREIGN KEY (user_id) REFERENCES users (id)
-        )`
-      ];
-      
-      let completed = 0;
-      queries.forEach(query => {
-        db.run(query, (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          completed++;
-          if (completed === queries.length) {
-            resolve();
-          }
-        });
-      });
-    });
   });
 }
 
@@ -343,13 +233,12 @@ function createWindow() {
     }
   });
 
+  mainWindow.on('minimize', () => vaultService.lockOnSystemEvent('minimize'));
+
   // Handle window closed
   mainWindow.on('closed', () => {
     // Cleanup before closing
-    if (db) {
-      db.close();
-      db = null;
-    }
+    closeVault();
     mainWindow = null;
     // Force garbage collection
     if (global.gc) global.gc();
@@ -382,7 +271,7 @@ function createMenu() {
           label: 'New Password',
           accelerator: 'CmdOrCtrl+N',
           click: () => {
-            if (currentUser) {
+            if (vaultService.currentUser) {
               mainWindow.webContents.send('navigate-to', 'add-password');
             }
           }
@@ -391,7 +280,8 @@ function createMenu() {
         {
           label: 'Logout',
           click: () => {
-            currentUser = null;
+            removeOpenedAttachments();
+            vaultService.logout();
             mainWindow.loadFile(path.join(__dirname, 'pages', 'login.html'));
           }
         },
@@ -418,7 +308,7 @@ function createMenu() {
           label: 'Home',
           accelerator: 'CmdOrCtrl+H',
           click: () => {
-            if (currentUser) {
+            if (vaultService.currentUser) {
               mainWindow.webContents.send('navigate-to', 'dashboard');
             }
           }
@@ -427,7 +317,7 @@ function createMenu() {
           label: 'Password Generator',
           accelerator: 'CmdOrCtrl+G',
           click: () => {
-            if (currentUser) {
+            if (vaultService.currentUser) {
               mainWindow.webContents.send('navigate-to', 'generator');
             }
           }
@@ -472,333 +362,216 @@ function createMenu() {
   Menu.setApplicationMenu(Menu.buildFromTemplate(template));
 }
 
-// IPC handlers for authentication
-ipcMain.handle('register-user', async (event, userData) => {
-  try {
-    const { username, email, password } = userData;
-    
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    return new Promise((resolve) => {
-      db.run(
-        'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-        [username, email, hashedPassword],
-        function(err) {
-          if (err) {
-            if (err.message.includes('UNIQUE constraint failed')) {
-              resolve({ success: false, error: 'Username or email already exists' });
-            } else {
-              resolve({ success: false, error: err.message });
-            }
-          } else {
-            resolve({ success: true, userId: this.lastID });
-          }
-        }
-      );
-    });
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+// IPC handlers
+// Each handler adapts one renderer call to VaultService; only the parts that
+// need Electron (dialogs, files, the clipboard, windows) are handled here.
 
-ipcMain.handle('login-user', async (event, loginData) => {
-  try {
-    const { username, password } = loginData;
-    
-    return new Promise((resolve) => {
-      db.get(
-        'SELECT * FROM users WHERE username = ? OR email = ?',
-        [username, username],
-        async (err, user) => {
-          if (err) {
-            resolve({ success: false, error: err.message });
-            return;
-          }
-          
-          if (!user) {
-            resolve({ success: false, error: 'Invalid username or password' });
-            return;
-          }
-          
-          try {
-            const isValid = await bcrypt.compare(password, user.password_hash);
-            if (isValid) {
-              currentUser = user;
-              
-              resolve({ success: true, user: { id: user.id, username: user.username, email: user.email } });
-            } else {
-              resolve({ success: false, error: 'Invalid username or password' });
-            }
-          } catch (bcryptError) {
-            resolve({ success: false, error: 'Authentication error' });
-          }
-        }
-      );
-    });
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+// Authentication
+ipcMain.handle('register-user', (event, userData) => vaultService.registerUser(userData));
 
-ipcMain.handle('logout-user', async (event) => {
-  currentUser = null;
-  return { success: true };
-});
+ipcMain.handle('login-user', (event, loginData) => vaultService.loginUser(loginData));
 
-// Check authentication status
-ipcMain.handle('check-auth', async (event) => {
-  if (currentUser) {
-    return { 
-      success: true, 
-      authenticated: true, 
-      user: { 
-        id: currentUser.id, 
-        username: currentUser.username, 
-        email: currentUser.email 
-      } 
-    };
-  } else {
-    return { 
-      success: true, 
-      authenticated: false 
-    };
-  }
+ipcMain.handle('change-master-password', (event, passwords) => {
+  const onProgress = (done, total) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('master-password-progress', { done, total });
+    }
+  };
+  return vaultService.changeMasterPassword(passwords, { onProgress });
 });
 
-// Password management
-ipcMain.handle('get-passwords', async (event, searchTerm = '') => {
-  console.log('get-passwords called, currentUser:', currentUser ? currentUser.username : 'null');
-  
-  if (!currentUser) {
-    console.log('No current user, returning authentication error');
-    return { success: false, error: 'Not authenticated' };
-  }
-  
-  return new Promise((resolve) => {
-    let query = 'SELECT * FROM passwords WHERE user_id = ? ORDER BY created_at DESC';
-    let params = [currentUser.id];
-    
-    if (searchTerm && searchTerm.trim()) {
-      query = 'SELECT * FROM passwords WHERE user_id = ? AND (label LIKE ? OR username LIKE ? OR category LIKE ?) ORDER BY created_at DESC';
-      const search = `%${searchTerm.trim()}%`;
-      params = [currentUser.id, search, search, search];
-    }
-    
-    console.log('Executing query:', query, 'with params:', params);
-    
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        console.error('Database error in get-passwords:', err);
-        resolve({ success: false, error: err.message });
-        return;
-      }
-      
-      console.log('Found', rows.length, 'passwords for user');
-      
-      try {
-        const passwords = rows.map(p => {
-          try {
-            const decryptedSecret = decrypt(p.secret.toString());
-            
-            // Check if this password needs migration to new encryption format
-            const secretString = p.secret.toString();
-            const needsMigration = !secretString.includes(':') || 
-                                 (secretString.includes(':') && secretString.split(':')[0].length !== 32);
-            
-            if (needsMigration) {
-              console.log('Migrating password encryption for ID:', p.id);
-              // Re-encrypt with new format and update in database
-              const newEncryptedSecret = encrypt(decryptedSecret);
-              db.run(
-                'UPDATE passwords SET secret = ? WHERE id = ?',
-                [newEncryptedSecret, p.id],
-                (err) => {
-                  if (err) {
-                    console.error('Error migrating password encryption:', err);
-                  } else {
-                    console.log('Successfully migrated password encryption for ID:', p.id);
-                  }
-                }
-              );
-            }
-            
-            return {
-              ...p,
-              secret: decryptedSecret
-            };
-          } catch (decryptError) {
-            console.error('Error decrypting password:', decryptError.message);
-            
-            // Handle specific error types
-            if (decryptError.message === 'FERNET_ENCRYPTED_PASSWORD') {
-              return {
-                ...p,
-                secret: '[FERNET_ENCRYPTED - Please re-enter this password]',
-                needsReentry: true
-              };
-            } else if (decryptError.message === 'UNSUPPORTED_ENCRYPTION_FORMAT') {
-              return {
-                ...p,
-                secret: '[UNSUPPORTED_FORMAT - Please re-enter this password]',
-                needsReentry: true
-              };
-            } else {
-              return {
-                ...p,
-                secret: '[DECRYPTION_ERROR - Please re-enter this password]',
-                needsReentry: true
-              };
-            }
-          }
-        });
-        resolve({ success: true, passwords });
-      } catch (error) {
-        console.error('Error processing passwords:', error);
-        resolve({ success: false, error: 'Failed to decrypt passwords: ' + error.message });
-      }
-    });
-  });
+ipcMain.handle('verify-login-totp', (event, { code } = {}) => vaultService.verifyLoginTotp(code));
+
+ipcMain.handle('cancel-pending-login', (event) => vaultService.cancelPendingLogin());
+
+ipcMain.handle('logout-user', (event) => {
+  removeOpenedAttachments();
+  return vaultService.logout();
 });
 
-ipcMain.handle('add-password', async (event, passwordData) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
+ipcMain.handle('check-auth', (event) => vaultService.checkAuth());
+
+// TOTP enrollment and management
+ipcMain.handle('get-totp-status', (event) => vaultService.getTotpStatus());
+
+ipcMain.handle('begin-totp-enrollment', async (event) => {
+  const result = vaultService.beginTotpEnrollment();
+  if (!result.success) return result;
   
   try {
-    const { label, username, password, url, category, notes, tags } = passwordData;
-    
-    // Validate required fields
-    if (!label || !password) {
-      return { success: false, error: 'Label and password are required' };
-    }
-    
-    const encryptedPassword = encrypt(password);
-    
-    return new Promise((resolve) => {
-      db.run(
-        `INSERT INTO passwords (user_id, label, username, secret, url, category, notes, tags, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-        [currentUser.id, label, username || '', encryptedPassword, url || '', category || 'General', notes || '', tags || ''],
-        function(err) {
-          if (err) {
-            if (err.message.includes('UNIQUE constraint failed')) {
-              resolve({ success: false, error: 'A password with this label already exists' });
-            } else {
-              resolve({ success: false, error: err.message });
-            }
-          } else {
-            resolve({ success: true, id: this.lastID });
-          }
-        }
-      );
-    });
+    return { ...result, qrCode: await QRCode.toDataURL(result.uri) };
   } catch (error) {
-    console.error('Add password error:', error);
+    console.error('TOTP enrollment error:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('update-password', async (event, passwordData) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
+ipcMain.handle('confirm-totp-enrollment', (event, enrollment) => vaultService.confirmTotpEnrollment(enrollment));
+
+ipcMain.handle('update-totp-window', (event, { window } = {}) => vaultService.updateTotpWindow(window));
+
+ipcMain.handle('disable-totp', (event, { password } = {}) => vaultService.disableTotp(password));
+
+// Recovery codes and emergency kit
+ipcMain.handle('get-recovery-status', (event) => vaultService.getRecoveryStatus());
+
+ipcMain.handle('generate-recovery-codes', (event, { password } = {}) => vaultService.generateRecoveryCodes(password));
+
+ipcMain.handle('recover-account', (event, recoveryData) => vaultService.recoverAccount(recoveryData));
+
+// Render the emergency kit off-screen and save it as a PDF
+ipcMain.handle('save-emergency-kit', async (event, { username, codes } = {}) => {
+  if (!username || !Array.isArray(codes) || codes.length === 0) {
+    return { success: false, error: 'No recovery codes to save' };
+  }
   
+  let kitWindow = null;
   try {
-    const { id, label, username, password, url, category, notes, tags } = passwordData;
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Emergency Kit',
+      defaultPath: path.join(require('os').homedir(), 'Downloads', `password-vault-emergency-kit-${username}.pdf`),
+      filters: [
+        { name: 'PDF Files', extensions: ['pdf'] }
+      ],
+      properties: ['createDirectory']
+    });
     
-    // Validate required fields
-    if (!id) {
-      return { success: false, error: 'Password ID is required' };
-    }
-    if (!label || !password) {
-      return { success: false, error: 'Label and password are required' };
+    if (result.canceled || !result.filePath) {
+      return { success: false, error: 'Save canceled' };
     }
     
-    const encryptedPassword = encrypt(password);
-    
-    return new Promise((resolve) => {
-      db.run(
-        `UPDATE passwords SET label = ?, username = ?, secret = ?, url = ?, category = ?, notes = ?, tags = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE id = ? AND user_id = ?`,
-        [label, username || '', encryptedPassword, url || '', category || 'General', notes || '', tags || '', id, currentUser.id],
-        function(err) {
-          if (err) {
-            resolve({ success: false, error: err.message });
-          } else {
-            if (this.changes === 0) {
-              resolve({ success: false, error: 'Password not found or access denied' });
-            } else {
-              resolve({ success: true });
-            }
-          }
-        }
-      );
+    kitWindow = new BrowserWindow({
+      show: false,
+      webPreferences: { javascript: false, nodeIntegration: false, contextIsolation: true }
     });
+    const html = renderEmergencyKit({ username, codes });
+    await kitWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    const pdf = await kitWindow.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+    await fs.writeFile(result.filePath, pdf);
+    
+    return { success: true, filename: path.basename(result.filePath), path: result.filePath };
   } catch (error) {
-    console.error('Update password error:', error);
+    console.error('Emergency kit error:', error);
     return { success: false, error: error.message };
+  } finally {
+    if (kitWindow && !kitWindow.isDestroyed()) {
+      kitWindow.destroy();
+    }
   }
 });
 
-ipcMain.handle('delete-password', async (event, passwordId) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
-  return new Promise((resolve) => {
-    db.run(
-      'DELETE FROM passwords WHERE id = ? AND user_id = ?',
-      [passwordId, currentUser.id],
-      function(err) {
-        if (err) {
-          resolve({ success: false, error: err.message });
-        } else {
-          resolve({ success: true });
-        }
-      }
-    );
+// Key file
+ipcMain.handle('get-key-file-status', (event) => vaultService.getKeyFileStatus());
+
+// A generated key file is saved wherever the user picks, readable only by them
+async function saveKeyFile(contents, username) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save Key File',
+    defaultPath: path.join(require('os').homedir(), `password-vault-${username}.key`),
+    filters: [
+      { name: 'Key Files', extensions: ['key'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['createDirectory']
   });
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  
+  await fs.writeFile(result.filePath, contents, { mode: 0o600 });
+  return path.basename(result.filePath);
+}
+
+ipcMain.handle('update-key-file', (event, options) => vaultService.updateKeyFile(options, { saveKeyFile }));
+
+// Auto-lock
+ipcMain.handle('unlock-vault', (event, credentials) => vaultService.unlockVault(credentials));
+
+ipcMain.handle('lock-vault', async (event) => {
+  vaultService.lock('manual');
+  return { success: true };
 });
 
+ipcMain.handle('report-activity', (event) => vaultService.reportActivity());
+
+ipcMain.handle('get-lock-settings', (event) => vaultService.getLockSettings());
+
+ipcMain.handle('update-lock-settings', (event, newSettings) => vaultService.updateLockSettings(newSettings));
+
+// Password management
+ipcMain.handle('get-passwords', (event, searchTerm, options) => vaultService.getPasswords(searchTerm, options));
+
+ipcMain.handle('add-password', (event, passwordData) => vaultService.addPassword(passwordData));
+
+ipcMain.handle('update-password', (event, passwordData) => vaultService.updatePassword(passwordData));
+
+ipcMain.handle('delete-password', (event, passwordId) => vaultService.deletePassword(passwordId));
+
+ipcMain.handle('bulk-update-passwords', (event, ids, changes) => vaultService.bulkUpdatePasswords({ ids, changes }));
+
+ipcMain.handle('undo-bulk-update', (event, undoToken) => vaultService.undoBulkUpdate(undoToken));
+
 // Copy password to clipboard
 ipcMain.handle('copy-password', async (event, passwordId) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
+  const result = await vaultService.getPasswordSecret(passwordId);
+  if (!result.success) return result;
   
-  return new Promise((resolve) => {
-    db.get(
-      'SELECT secret FROM passwords WHERE id = ? AND user_id = ?',
-      [passwordId, currentUser.id],
-      (err, row) => {
-        if (err) {
-          resolve({ success: false, error: err.message });
-          return;
-        }
-        
-        if (!row) {
-          resolve({ success: false, error: 'Password not found' });
-          return;
-        }
-        
-        try {
-          const decryptedPassword = decrypt(row.secret.toString());
-          clipboard.writeText(decryptedPassword);
-          
-          // Clear clipboard after 30 seconds
-          setTimeout(() => {
-            clipboard.clear();
-          }, 30000);
-          
-          resolve({ success: true });
-        } catch (error) {
-          resolve({ success: false, error: 'Failed to decrypt password' });
-        }
-      }
-    );
-  });
+  clipboard.writeText(result.secret);
+  
+  // Clear clipboard after 30 seconds
+  setTimeout(() => {
+    clipboard.clear();
+  }, 30000);
+  
+  return { success: true };
+});
+
+ipcMain.handle('copy-custom-field', async (event, passwordId, fieldIndex) => {
+  const result = await vaultService.getCustomFieldValue(passwordId, fieldIndex);
+  if (!result.success) return result;
+
+  clipboard.writeText(result.value);
+  setTimeout(() => {
+    clipboard.clear();
+  }, 30000);
+
+  return { success: true, name: result.name, type: result.type };
+});
+
+// Password history
+ipcMain.handle('get-password-history', (event, passwordId) => vaultService.getPasswordHistory(passwordId));
+
+ipcMain.handle('copy-password-version', async (event, historyId) => {
+  const result = await vaultService.getHistorySecret(historyId);
+  if (!result.success) return result;
+
+  clipboard.writeText(result.secret);
+
+  // Clear clipboard after 30 seconds
+  setTimeout(() => {
+    clipboard.clear();
+  }, 30000);
+
+  return { success: true };
 });
 
+ipcMain.handle('restore-password-version', (event, historyId) => vaultService.restorePasswordVersion(historyId));
+
+ipcMain.handle('get-history-settings', (event) => vaultService.getHistorySettings());
+
+ipcMain.handle('update-history-settings', (event, newSettings) => vaultService.updateHistorySettings(newSettings));
+
+ipcMain.handle('migrate-fernet-entries', (event, { fernetKey } = {}) => vaultService.migrateFernetEntries(fernetKey));
+
+ipcMain.handle('import-passwords', (event, importData) => vaultService.importPasswords(importData));
+
 // Navigation
 ipcMain.handle('navigate-to-dashboard', async (event) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
+  if (!vaultService.currentUser) return { success: false, error: 'Not authenticated' };
   
   try {
     await mainWindow.loadFile(path.join(__dirname, 'pages', 'dashboard.html'));
+    checkExpiringPasswords().catch(error => console.error('Expiry check failed:', error));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -838,6 +611,17 @@ ipcMain.handle('generate-password', async (event, options = {}) => {
   return { success: true, password };
 });
 
+// Estimate a password's strength. Needs no session, so the login page can
+// rate a new master password too.
+ipcMain.handle('estimate-password-strength', async (event, { password = '', userInputs = [] } = {}) => {
+  try {
+    const inputs = Array.isArray(userInputs) ? userInputs.map(String) : [];
+    return { success: true, ...estimateStrength(String(password), inputs) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Show notification
 ipcMain.handle('show-notification', async (event, message) => {
   try {
@@ -854,423 +638,315 @@ ipcMain.handle('show-notification', async (event, message) => {
   }
 });
 
-// Export passwords
-ipcMain.handle('export-passwords', async (event, exportOptions) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
+// Ask where to save an export or backup and write it there
+async function saveExportFile(title, file, filterName) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title,
+    defaultPath: path.join(require('os').homedir(), 'Downloads', file.filename),
+    filters: [
+      { name: filterName, extensions: [file.extension] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['createDirectory']
+  });
   
-  const fs = require('fs');
-  const path = require('path');
-  const { dialog } = require('electron');
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  
+  await fs.writeFile(result.filePath, file.data, 'utf8');
+  return result.filePath;
+}
+
+// Export passwords
+ipcMain.handle('export-passwords', async (event, exportOptions = {}) => {
+  const file = await vaultService.exportPasswords(exportOptions.format, { folderId: exportOptions.folderId });
+  if (!file.success) return file;
   
   try {
-    // Get all passwords
-    const passwords = await new Promise((resolve, reject) => {
-      db.all('SELECT * FROM passwords WHERE user_id = ? ORDER BY created_at DESC', [currentUser.id], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-    
-    // Decrypt passwords
-    let decryptedPasswords = [];
-    for (const p of passwords) {
-      try {
-        decryptedPasswords.push({
-          ...p,
-          secret: decrypt(p.secret.toString())
-        });
-      } catch (error) {
-        console.error('Error decrypting password:', error);
-      }
-    }
-    
-    let exportData, filename, defaultPath;
-    
-    if (exportOptions.format === 'csv') {
-      const csvHeader = 'Label,Username,Password,URL,Category,Notes,Tags,Created\n';
-      const csvRows = decryptedPasswords.map(p => {
-        const fields = [
-          p.label || '',
-          p.username || '',
-          p.secret || '',
-          p.url || '',
-          p.category || '',
-          p.notes || '',
-          p.tags || '',
-          p.created_at || new Date().toISOString()
-        ];
-        return fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',');
-      });
-      
-      exportData = csvHeader + csvRows.join('\n');
-      filename = `password_vault_export_${new Date().toISOString().split('T')[0]}.csv`;
-      defaultPath = path.join(require('os').homedir(), 'Downloads', filename);
-    } else if (exportOptions.format === 'json') {
-      // JSON format
-      const backupData = {
-        exported_at: new Date().toISOString(),
-        version: '1.0',
-        passwords: decryptedPasswords,
-        user: { username: currentUser.username }
-      };
-      
-      exportData = JSON.stringify(backupData, null, 2);
-      filename = `password_vault_export_${new Date().toISOString().split('T')[0]}.json`;
-      defaultPath = path.join(require('os').homedir(), 'Downloads', filename);
-    } else {
-      // Encrypted backup
-      const backupData = {
-        exported_at: new Date().toISOString(),
-        version: '1.0',
-        passwords: decryptedPasswords,
-        user: { username: currentUser.username }
-      };
-      
-      exportData = encrypt(JSON.stringify(backupData));
-      filename = `password_vault_backup_${new Date().toISOString().split('T')[0]}.vault`;
-      defaultPath = path.join(require('os').homedir(), 'Downloads', filename);
-    }
-    
-    // Show save dialog
-    let fileExtension = exportOptions.format;
-    if (exportOptions.format === 'encrypted') {
-      fileExtension = 'vault';
-    }
-    
-    const result = await dialog.showSaveDialog(mainWindow, {
-      title: 'Export Passwords',
-      defaultPath: defaultPath,
-      filters: [
-        { name: 'Export Files', extensions: [fileExtension] },
-        { name: 'All Files', extensions: ['*'] }
-      ],
-      properties: ['createDirectory']
-    });
-    
-    if (result.canceled || !result.filePath) {
+    const filePath = await saveExportFile('Export Passwords', file, 'Export Files');
+    if (!filePath) {
       return { success: false, error: 'Export canceled' };
     }
     
-    try {
-      fs.writeFileSync(result.filePath, exportData, 'utf8');
-      
-      return { 
-        success: true, 
-        filename: path.basename(result.filePath),
-        path: result.filePath,
-        count: decryptedPasswords.length 
-      };
-    } catch (writeError) {
-      console.error('Failed to write export file:', writeError);
-      return { success: false, error: `Failed to save file: ${writeError.message}` };
-    }
-    
-  } catch (error) {
-    console.error('Export error:', error);
-    return { success: false, error: error.message };
+    return { 
+      success: true, 
+      filename: path.basename(filePath),
+      path: filePath,
+      count: file.count 
+    };
+  } catch (writeError) {
+    console.error('Failed to write export file:', writeError);
+    return { success: false, error: `Failed to save file: ${writeError.message}` };
   }
 });
 
 // Backup and restore
 ipcMain.handle('create-backup', async (event) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
-  const fs = require('fs');
-  const path = require('path');
-  const { dialog } = require('electron');
+  const backup = await vaultService.createBackup();
+  if (!backup.success) return backup;
   
   try {
-    // Get all user data
-    const passwords = await new Promise((resolve, reject) => {
-      db.all('SELECT * FROM passwords WHERE user_id = ? ORDER BY created_at DESC', [currentUser.id], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-    
-    // Decrypt passwords for backup safely
-    let decryptedPasswords = [];
-    for (const p of passwords) {
-      try {
-        if (!p || typeof p !== 'object') {
-          console.warn('Invalid password object for backup:', p);
-          continue;
-        }
-        
-        let decryptedPassword = { ...p };
-        
-        if (!p.secret || p.secret === null || p.secret === undefined) {
-          console.warn('Password with null/undefined secret for backup:', p.id);
-          decryptedPassword.secret = '';
-        } else {
-          try {
-            decryptedPassword.secret = decrypt(p.secret.toString());
-          } catch (decryptError) {
-            console.error('Error decrypting password for backup:', decryptError);
-            decryptedPassword.secret = '[DECRYPTION_ERROR]';
-          }
-        }
-        
-        decryptedPasswords.push(decryptedPassword);
-      } catch (error) {
-        console.error('Error processing password for backup:', error);
-        // Continue with next password instead of failing
-      }
-    }
-    
-    const backupData = {
-      created_at: new Date().toISOString(),
-      version: '1.0',
-      user: { username: currentUser.username },
-      passwords: decryptedPasswords
-    };
-    
-    const filename = `password_vault_backup_${new Date().toISOString().split('T')[0]}.vault`;
-    const defaultPath = path.join(require('os').homedir(), 'Downloads', filename);
-    
-    const result = await dialog.showSaveDialog(mainWindow, {
-      title: 'Create Backup',
-      defaultPath: defaultPath,
-      filters: [
-        { name: 'Vault Backup Files', extensions: ['vault'] },
-        { name: 'All Files', extensions: ['*'] }
-      ],
-      properties: ['createDirectory']
-    });
-    
-    if (result.canceled || !result.filePath) {
+    const filePath = await saveExportFile('Create Backup', { ...backup, extension: 'vault' }, 'Vault Backup Files');
+    if (!filePath) {
       return { success: false, error: 'Backup canceled' };
     }
     
-    // Encrypt backup
-    try {
-      const encryptedData = encrypt(JSON.stringify(backupData));
-      fs.writeFileSync(result.filePath, encryptedData, 'utf8');
-      
-      return { 
-        success: true, 
-        filename: path.basename(result.filePath),
-        path: result.filePath 
-      };
-    } catch (writeError) {
-      console.error('Failed to write backup file:', writeError);
-      return { success: false, error: `Failed to save backup: ${writeError.message}` };
-    }
-    
-  } catch (error) {
-    console.error('Backup error:', error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Import passwords from external sources
-ipcMain.handle('import-passwords', async (event, importData) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
-  try {
-    if (!Array.isArray(importData) || importData.length === 0) {
-      return { success: false, error: 'No valid password data provided' };
-    }
-    
-    let importedCount = 0;
-    const errors = [];
-    
-    for (const passwordData of importData) {
-      try {
-        // Validate required fields
-        if (!passwordData.label || !passwordData.password) {
-          errors.push(`Skipped entry: Missing label or password`);
-          continue;
-        }
-        
-        // Encrypt the password
-        const encryptedPassword = encrypt(passwordData.password);
-        
-        // Insert into database
-        const result = await new Promise((resolve) => {
-          db.run(
-            `INSERT INTO passwords (user_id, label, username, secret, url, category, notes, tags, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-            [
-              currentUser.id,
-              passwordData.label.substring(0, 255),
-              passwordData.username ? passwordData.username.substring(0, 255) : null,
-              encryptedPassword,
-              passwordData.url ? passwordData.url.substring(0, 500) : null,
-              passwordData.category || 'Imported',
-              passwordData.notes ? passwordData.notes.substring(0, 1000) : null,
-              passwordData.tags || null
-            ],
-            function(err) {
-              if (err) {
-                resolve({ success: false, error: err.message });
-              } else {
-                resolve({ success: true });
-              }
-            }
-          );
-        });
-        
-        if (result.success) {
-          importedCount++;
-        } else {
-          errors.push(`Error importing "${passwordData.label}": ${result.error}`);
-        }
-        
-      } catch (error) {
-        errors.push(`Error importing "${passwordData.label}": ${error.message}`);
-      }
-    }
-    
     return { 
       success: true, 
-      count: importedCount,
-      errors: errors.length > 0 ? errors : null
+      filename: path.basename(filePath),
+      path: filePath 
     };
-    
-  } catch (error) {
-    console.error('Import error:', error);
-    return { success: false, error: error.message };
+  } catch (writeError) {
+    console.error('Failed to write backup file:', writeError);
+    return { success: false, error: `Failed to save backup: ${writeError.message}` };
   }
 });
 
 // Secure Notes IPC handlers
-ipcMain.handle('get-secure-notes', async (event) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
+ipcMain.handle('get-secure-notes', (event) => vaultService.getSecureNotes());
+
+ipcMain.handle('add-secure-note', (event, noteData) => vaultService.addSecureNote(noteData));
+
+ipcMain.handle('update-secure-note', (event, noteData) => vaultService.updateSecureNote(noteData));
+
+ipcMain.handle('delete-secure-note', (event, id) => vaultService.deleteSecureNote(id));
+
+// Structured items
+ipcMain.handle('get-item-types', (event) => vaultService.getItemTypes());
+
+ipcMain.handle('get-items', (event) => vaultService.getItems());
+
+ipcMain.handle('add-item', (event, itemData) => vaultService.addItem(itemData));
+
+ipcMain.handle('update-item', (event, itemData) => vaultService.updateItem(itemData));
+
+ipcMain.handle('delete-item', (event, id) => vaultService.deleteItem(id));
+
+ipcMain.handle('record-item-reveal', (event, id, fieldKey) => vaultService.recordItemReveal(id, fieldKey));
+
+ipcMain.handle('copy-item-field', async (event, id, fieldKey) => {
+  const result = await vaultService.getItemFieldValue(id, fieldKey);
+  if (!result.success) return result;
+
+  clipboard.writeText(result.value);
+  setTimeout(() => {
+    clipboard.clear();
+  }, 30000);
+
+  return { success: true, label: result.label };
+});
+
+// Favorites
+ipcMain.handle('toggle-favorite', (event, entry) => vaultService.toggleFavorite(entry));
+
+ipcMain.handle('set-favorites', (event, entries, favorite) => vaultService.setFavorites(entries, favorite));
+
+// Usage
+ipcMain.handle('open-password-url', async (event, passwordId) => {
+  const result = await vaultService.openPasswordUrl(passwordId);
+  if (!result.success) return result;
+
+  await shell.openExternal(result.url);
+  return { success: true };
+});
+
+ipcMain.handle('get-unused-passwords', (event, months) => vaultService.getUnusedPasswords(months));
+
+// Expiry and rotation
+ipcMain.handle('get-expiring-passwords', (event) => vaultService.getExpiringPasswords());
+
+ipcMain.handle('snooze-expiry', (event, passwordId, days) => vaultService.snoozeExpiry(passwordId, days));
+
+ipcMain.handle('mark-password-rotated', (event, passwordId) => vaultService.markPasswordRotated(passwordId));
+
+ipcMain.handle('get-expiry-history', (event, passwordId) => vaultService.getExpiryHistory(passwordId));
+
+// Folders
+ipcMain.handle('get-folders', (event) => vaultService.getFolders());
+
+ipcMain.handle('create-folder', (event, folderData) => vaultService.createFolder(folderData));
+
+ipcMain.handle('rename-folder', (event, id, name) => vaultService.renameFolder(id, name));
+
+ipcMain.handle('move-folder', (event, id, parentId) => vaultService.moveFolder(id, parentId));
+
+ipcMain.handle('delete-folder', (event, id) => vaultService.deleteFolder(id));
+
+ipcMain.handle('move-entries', (event, entries, folderId) => vaultService.moveEntries(entries, folderId));
+
+// Audit log
+ipcMain.handle('get-audit-log', (event, filters) => vaultService.getAuditLog(filters));
+
+ipcMain.handle('record-password-reveal', (event, passwordId, fieldName) => vaultService.recordReveal(passwordId, fieldName));
+
+ipcMain.handle('export-audit-log', async (event, filters) => {
+  const file = await vaultService.exportAuditLog(filters);
+  if (!file.success) return file;
+
   try {
-    const notes = await new Promise((resolve, reject) => {
-      db.all('SELECT * FROM secure_notes WHERE user_id = ? ORDER BY updated_at DESC', [currentUser.id], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-    
-    // Decrypt note content
-    const decryptedNotes = notes.map(note => {
-      try {
-        return {
-          ...note,
-          content: decrypt(note.content)
-        };
-      } catch (error) {
-        console.error('Error decrypting note:', error);
-        return {
-          ...note,
-          content: '[DECRYPTION_ERROR]'
-        };
-      }
-    });
-    
-    return { success: true, notes: decryptedNotes };
-  } catch (error) {
-    console.error('Error getting secure notes:', error);
-    return { success: false, error: error.message };
+    const filePath = await saveExportFile('Export Audit Log', file, 'CSV Files');
+    if (!filePath) {
+      return { success: false, error: 'Export canceled' };
+    }
+    return { success: true, filename: path.basename(filePath), path: filePath, count: file.count };
+  } catch (writeError) {
+    console.error('Failed to write audit log export:', writeError);
+    return { success: false, error: `Failed to save file: ${writeError.message}` };
   }
 });
 
-ipcMain.handle('add-secure-note', async (event, noteData) => {
-  console.log('add-secure-note called with data:', noteData);
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
-  try {
-    const { title, content, category = 'General', tags = '', is_favorite = false } = noteData;
-    
-    if (!title || !content) {
-      return { success: false, error: 'Title and content are required' };
+// Trash
+ipcMain.handle('get-trash', (event) => vaultService.getTrash());
+
+ipcMain.handle('restore-from-trash', (event, items) => vaultService.restoreFromTrash(items));
+
+ipcMain.handle('empty-trash', (event) => vaultService.emptyTrash());
+
+ipcMain.handle('update-trash-settings', (event, newSettings) => vaultService.updateTrashSettings(newSettings));
+
+// Attachments
+ipcMain.handle('get-attachments', (event, { ownerType, ownerId } = {}) => vaultService.getAttachments(ownerType, ownerId));
+
+// Files dropped on the dashboard arrive from preload as raw bytes
+ipcMain.handle('add-attachment', (event, attachment) => vaultService.addAttachment(attachment));
+
+ipcMain.handle('attach-files', async (event, { ownerType, ownerId } = {}) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Attach Files',
+    properties: ['openFile', 'multiSelections']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, error: 'Attach canceled' };
+  }
+
+  const attached = [];
+  const failed = [];
+  for (const filePath of result.filePaths) {
+    const name = path.basename(filePath);
+    try {
+      // Checked before reading so a huge file is never loaded
+      const { size } = await fs.stat(filePath);
+      if (size > MAX_ATTACHMENT_SIZE) {
+        failed.push({ name, error: `Attachments are limited to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB` });
+        continue;
+      }
+      const added = await vaultService.addAttachment({ ownerType, ownerId, name, data: await fs.readFile(filePath) });
+      if (added.success) attached.push(added.attachment);
+      else failed.push({ name, error: added.error });
+    } catch (readError) {
+      failed.push({ name, error: readError.message });
     }
-    
-    // Encrypt content
-    const encryptedContent = encrypt(content);
-    
-    const result = await new Promise((resolve) => {
-      db.run(
-        `INSERT INTO secure_notes (user_id, title, content, category, tags, is_favorite, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-        [currentUser.id, title, encryptedContent, category, tags, is_favorite ? 1 : 0],
-        function(err) {
-          if (err) {
-            resolve({ success: false, error: err.message });
-          } else {
-            resolve({ success: true, id: this.lastID });
-          }
-        }
-      );
-    });
-    
-    return result;
-  } catch (error) {
-    console.error('Error adding secure note:', error);
-    return { success: false, error: error.message };
   }
+  return { success: true, attached, failed };
 });
 
-ipcMain.handle('update-secure-note', async (event, { id, ...noteData }) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
+ipcMain.handle('save-attachment', async (event, attachmentId) => {
+  const result = await vaultService.readAttachment(attachmentId);
+  if (!result.success) return result;
+
+  const { attachment } = result;
   try {
-    const { title, content, category, tags, is_favorite = false } = noteData;
-    
-    if (!title || !content) {
-      return { success: false, error: 'Title and content are required' };
-    }
-    
-    // Encrypt content
-    const encryptedContent = encrypt(content);
-    
-    const result = await new Promise((resolve) => {
-      db.run(
-        `UPDATE secure_notes SET title = ?, content = ?, category = ?, tags = ?, is_favorite = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE id = ? AND user_id = ?`,
-        [title, encryptedContent, category, tags, is_favorite ? 1 : 0, id, currentUser.id],
-        function(err) {
-          if (err) {
-            resolve({ success: false, error: err.message });
-          } else if (this.changes === 0) {
-            resolve({ success: false, error: 'Note not found' });
-          } else {
-            resolve({ success: true });
-          }
-        }
-      );
+    const saveResult = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Attachment',
+      defaultPath: path.join(require('os').homedir(), 'Downloads', attachment.name),
+      properties: ['createDirectory']
     });
-    
-    return result;
-  } catch (error) {
-    console.error('Error updating secure note:', error);
-    return { success: false, error: error.message };
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { success: false, error: 'Save canceled' };
+    }
+
+    await fs.writeFile(saveResult.filePath, attachment.data);
+    return { success: true, filename: path.basename(saveResult.filePath), path: saveResult.filePath };
+  } catch (writeError) {
+    console.error('Failed to save attachment:', writeError);
+    return { success: false, error: `Failed to save file: ${writeError.message}` };
+  } finally {
+    attachment.data.fill(0);
   }
 });
 
-ipcMain.handle('delete-secure-note', async (event, id) => {
-  if (!currentUser) return { success: false, error: 'Not authenticated' };
-  
+// Opening needs a plaintext copy on disk for the other app to read
+ipcMain.handle('open-attachment', async (event, attachmentId) => {
+  const result = await vaultService.readAttachment(attachmentId);
+  if (!result.success) return result;
+
+  const { attachment } = result;
   try {
-    const result = await new Promise((resolve) => {
-      db.run('DELETE FROM secure_notes WHERE id = ? AND user_id = ?', [id, currentUser.id], function(err) {
-        if (err) {
-          resolve({ success: false, error: err.message });
-        } else if (this.changes === 0) {
-          resolve({ success: false, error: 'Note not found' });
-        } else {
-          resolve({ success: true });
-        }
-      });
-    });
-    
-    return result;
-  } catch (error) {
-    console.error('Error deleting secure note:', error);
-    return { success: false, error: error.message };
+    const dir = await fs.mkdtemp(path.join(await ensureOpenAttachmentsDir(), 'open-'));
+    const filePath = path.join(dir, path.basename(attachment.name));
+    await fs.writeFile(filePath, attachment.data, { mode: 0o600 });
+
+    const openError = await shell.openPath(filePath);
+    if (openError) {
+      return { success: false, error: openError };
+    }
+    return { success: true };
+  } catch (openError) {
+    console.error('Failed to open attachment:', openError);
+    return { success: false, error: `Failed to open file: ${openError.message}` };
+  } finally {
+    attachment.data.fill(0);
   }
 });
 
+ipcMain.handle('delete-attachment', (event, attachmentId) => vaultService.deleteAttachment(attachmentId));
+
+async function ensureOpenAttachmentsDir() {
+  await fs.mkdir(OPEN_ATTACHMENTS_DIR, { recursive: true, mode: 0o700 });
+  return OPEN_ATTACHMENTS_DIR;
+}
+
+function removeOpenedAttachments() {
+  if (!OPEN_ATTACHMENTS_DIR) return;
+  require('fs').rmSync(OPEN_ATTACHMENTS_DIR, { recursive: true, force: true });
+}
+
+// Expiry reminders
+// While the vault is unlocked, entries that have expired or expire soon raise
+// a desktop notification, once per entry and expiry date until the next lock
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const notifiedExpiries = new Set();
+
+async function checkExpiringPasswords() {
+  if (!vaultService || !vaultService.currentUser || !Notification.isSupported()) return;
+
+  const result = await vaultService.getExpiringPasswords();
+  if (!result.success) return;
+
+  const fresh = result.passwords.filter(entry => !notifiedExpiries.has(`${entry.id}:${entry.expires_at}`));
+  if (fresh.length === 0) return;
+  fresh.forEach(entry => notifiedExpiries.add(`${entry.id}:${entry.expires_at}`));
+
+  const [first] = fresh;
+  const body = fresh.length === 1
+    ? `"${first.label}" ${first.status === 'expired' ? 'expired' : 'expires'} on ${first.expires_at}`
+    : `${fresh.length} passwords have expired or expire soon`;
+  const notification = new Notification({ title: 'Password Rotation Reminder', body });
+  notification.on('click', () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('show-expiring-passwords');
+    }
+  });
+  notification.show();
+}
+
+function startExpiryChecker() {
+  setInterval(() => {
+    checkExpiringPasswords().catch(error => console.error('Expiry check failed:', error));
+  }, EXPIRY_CHECK_INTERVAL_MS);
+}
+
 // App event handlers (main initialization is handled above)
 
-app.on('window-all-closed', () => {
-  if (db) {
-    db.close();
-  }
+app.on('will-quit', () => {
+  removeOpenedAttachments();
+});
+
+app.on('window-all-closed', async () => {
+  await closeVault();
   
   if (process.platform !== 'darwin') {
     app.quit();
@@ -1284,4 +960,4 @@ app.on('activate', async () => {
 });
 
 // Handle app protocol for better security
-app.setAsDefaultProtocolClient('password-vault'); 
\ No newline at end of file
+app.setAsDefaultProtocolClient('password-vault');
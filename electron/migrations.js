@@ -0,0 +1,357 @@
+// Schema migrations for passwords.db
+// Migrations are numbered and run in order, each in its own transaction that
+// also records it in schema_version. Databases from before schema_version
+// existed are treated as version 0, so every statement in the early
+// migrations has to tolerate tables that already exist.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Users, passwords and secure notes',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP,
+        failed_attempts INTEGER DEFAULT 0,
+        locked_until TIMESTAMP,
+        settings TEXT DEFAULT '{}'
+      )`,
+      `CREATE TABLE IF NOT EXISTS passwords (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        secret BLOB NOT NULL,
+        is_file BOOLEAN DEFAULT 0,
+        file_name TEXT,
+        file_type TEXT,
+        file_size INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        category TEXT DEFAULT 'General',
+        tags TEXT DEFAULT '',
+        notes TEXT DEFAULT '',
+        url TEXT DEFAULT '',
+        username TEXT DEFAULT '',
+        is_favorite BOOLEAN DEFAULT 0,
+        password_strength INTEGER DEFAULT 0,
+        last_accessed TIMESTAMP,
+        access_count INTEGER DEFAULT 0,
+        expires_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        UNIQUE(user_id, label)
+      )`,
+      `CREATE TABLE IF NOT EXISTS secure_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        content BLOB NOT NULL,
+        category TEXT DEFAULT 'General',
+        tags TEXT DEFAULT '',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        is_favorite BOOLEAN DEFAULT 0,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    description: 'Per-user keys, recovery codes and two-factor secrets',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS user_keys (
+        user_id INTEGER PRIMARY KEY,
+        kdf_salt TEXT NOT NULL,
+        kdf_params TEXT NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        key_origin TEXT DEFAULT 'generated',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        kdf_salt TEXT NOT NULL,
+        kdf_params TEXT NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS user_totp (
+        user_id INTEGER PRIMARY KEY,
+        secret TEXT NOT NULL,
+        skew_window INTEGER DEFAULT 1,
+        last_used_step INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`
+    ]
+  },
+  {
+    version: 3,
+    description: 'Password history',
+    statements: [
+      `CREATE TABLE password_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        password_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        secret BLOB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (password_id) REFERENCES passwords (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      'CREATE INDEX idx_password_history_password ON password_history (password_id)'
+    ]
+  },
+  {
+    version: 4,
+    description: 'Trash for deleted passwords and notes',
+    statements: [
+      'ALTER TABLE passwords ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE secure_notes ADD COLUMN deleted_at TIMESTAMP'
+    ]
+  },
+  {
+    version: 5,
+    description: 'Audit log',
+    statements: [
+      `CREATE TABLE audit_keys (
+        user_id INTEGER PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      `CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        payload TEXT NOT NULL,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      'CREATE INDEX idx_audit_log_user ON audit_log (user_id)',
+      // Append-only; the hash chain is what detects edits made around these
+      `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'AUDIT_LOG_APPEND_ONLY'); END`,
+      `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'AUDIT_LOG_APPEND_ONLY'); END`
+    ]
+  },
+  {
+    version: 6,
+    description: 'File attachments',
+    statements: [
+      // passwords.is_file already exists from the first schema
+      'ALTER TABLE secure_notes ADD COLUMN is_file BOOLEAN DEFAULT 0',
+      `CREATE TABLE attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        owner_table TEXT NOT NULL,
+        owner_id INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        file_type TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      'CREATE INDEX idx_attachments_owner ON attachments (owner_table, owner_id)',
+      `CREATE TABLE attachment_chunks (
+        attachment_id INTEGER NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (attachment_id, chunk_index),
+        FOREIGN KEY (attachment_id) REFERENCES attachments (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`
+    ]
+  },
+  {
+    version: 7,
+    description: 'Custom fields on passwords',
+    statements: [
+      "ALTER TABLE passwords ADD COLUMN custom_fields TEXT DEFAULT ''"
+    ]
+  },
+  {
+    version: 8,
+    description: 'Structured items: cards, identities, SSH keys, licenses and Wi-Fi',
+    statements: [
+      `CREATE TABLE items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        item_type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        data BLOB NOT NULL,
+        category TEXT DEFAULT 'General',
+        tags TEXT DEFAULT '',
+        is_favorite BOOLEAN DEFAULT 0,
+        is_file BOOLEAN DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+      'CREATE INDEX idx_items_user ON items (user_id)'
+    ]
+  },
+  {
+    version: 9,
+    description: 'Nested folders replacing categories',
+    statements: [
+      `CREATE TABLE folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        parent_id INTEGER,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (parent_id) REFERENCES folders (id)
+      )`,
+      'CREATE INDEX idx_folders_user ON folders (user_id)',
+      // category stays until VaultService.migrateCategories has moved it into a folder
+      'ALTER TABLE passwords ADD COLUMN folder_id INTEGER REFERENCES folders (id)',
+      'ALTER TABLE secure_notes ADD COLUMN folder_id INTEGER REFERENCES folders (id)',
+      'ALTER TABLE items ADD COLUMN folder_id INTEGER REFERENCES folders (id)'
+    ]
+  },
+  {
+    version: 10,
+    description: 'Password rotation intervals',
+    statements: [
+      // expires_at has existed since v1; see expiry.js
+      'ALTER TABLE passwords ADD COLUMN rotation_days INTEGER'
+    ]
+  },
+  {
+    version: 11,
+    description: 'Estimated crack time of each password',
+    statements: [
+      // Filled in with password_strength by the service; see password-strength.js
+      'ALTER TABLE passwords ADD COLUMN crack_time_seconds REAL'
+    ]
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+async function tableExists(db, name) {
+  const row = await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+  return Boolean(row);
+}
+
+// 0 for a database created before schema_version existed; null for an empty one
+async function getSchemaVersion(db) {
+  if (await tableExists(db, 'schema_version')) {
+    const row = await get(db, 'SELECT MAX(version) AS version FROM schema_version');
+    return row.version || 0;
+  }
+  return (await tableExists(db, 'users')) ? 0 : null;
+}
+
+// Consistent copy of the open database, taken before anything is changed
+async function backupDatabase(db, backupDir, fromVersion) {
+  await fs.mkdir(backupDir, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `passwords-pre-migration-v${fromVersion}-${timestamp}.db`);
+  await run(db, 'VACUUM INTO ?', [backupPath]);
+  return backupPath;
+}
+
+async function applyMigration(db, migration) {
+  await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+  try {
+    for (const statement of migration.statements) {
+      await run(db, statement);
+    }
+    await run(db, 'INSERT INTO schema_version (version, description) VALUES (?, ?)', [migration.version, migration.description]);
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+  }
+}
+
+// Bring the database up to the latest schema. Existing databases are backed
+// up to backupDir first. The backup may hold data older versions kept in
+// plaintext, so it is deleted once every migration has applied; after a
+// failure it is kept and its path set on the error as backupPath.
+// Throws DATABASE_TOO_NEW when the database was written by a newer version
+// of the app, without touching it.
+async function migrateDatabase(db, { backupDir, migrations = MIGRATIONS } = {}) {
+  const latest = migrations[migrations.length - 1].version;
+  const currentVersion = await getSchemaVersion(db);
+  const from = currentVersion === null ? 0 : currentVersion;
+
+  if (from > latest) {
+    const error = new Error('DATABASE_TOO_NEW');
+    error.version = from;
+    error.supportedVersion = latest;
+    throw error;
+  }
+
+  const pending = migrations.filter(migration => migration.version > from);
+  if (pending.length === 0) {
+    return { from, to: from, applied: [] };
+  }
+
+  // A brand-new database has nothing worth backing up
+  const backupPath = currentVersion === null ? null : await backupDatabase(db, backupDir, from);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  try {
+    for (const migration of pending) {
+      await applyMigration(db, migration);
+    }
+  } catch (error) {
+    error.backupPath = backupPath;
+    throw error;
+  }
+
+  if (backupPath) {
+    await fs.rm(backupPath, { force: true });
+  }
+  return { from, to: latest, applied: pending.map(migration => migration.version) };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  migrateDatabase
+};
@@ -0,0 +1,651 @@
+// Password strength estimation in the style of zxcvbn
+// A password is split into the pieces an attacker would try first: common
+// passwords and words (also reversed or with l33t substitutions), keyboard
+// patterns, sequences, repeats and dates. Its strength is the number of
+// guesses needed for the cheapest split, as a score from 0 to 4 and the time
+// an offline attack on a slow hash would take.
+
+const STRENGTH_LABELS = ['Very Weak', 'Weak', 'Fair', 'Strong', 'Very Strong'];
+// Longer input is scored on its first characters; beyond this it is strong anyway
+const MAX_ESTIMATE_LENGTH = 100;
+// An offline attacker against a slow hash such as bcrypt or scrypt
+const GUESSES_PER_SECOND = 1e4;
+
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MIN_YEAR_SPACE = 20;
+
+// Ranked by how often they appear in leaked password lists
+const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567', 'dragon',
+  '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow', 'master', '666666',
+  'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+  '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', 'charlie', 'robert',
+  'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george', 'computer', 'michelle',
+  'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777', 'pass',
+  'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer', 'love',
+  'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321', 'dallas', 'austin',
+  'thunder', 'taylor', 'matrix', 'welcome', 'admin', 'password1', 'login', 'qwerty123', 'secret', 'hello',
+  'whatever', 'flower', 'loveme', '1q2w3e4r', '1q2w3e4r5t', 'changeme', 'default', 'root', 'guest', 'test'
+];
+
+// Frequent English words and names, ranked roughly by how common they are
+const COMMON_WORDS = [
+  'love', 'the', 'and', 'you', 'angel', 'baby', 'star', 'king', 'queen', 'girl', 'boy', 'man', 'life', 'home',
+  'house', 'world', 'money', 'power', 'magic', 'music', 'happy', 'lucky', 'friend', 'family', 'forever',
+  'heaven', 'heart', 'dream', 'smile', 'sweet', 'honey', 'sugar', 'candy', 'cookie', 'coffee', 'pizza',
+  'beer', 'cat', 'dog', 'puppy', 'kitty', 'horse', 'bear', 'wolf', 'fish', 'bird', 'mouse', 'rabbit',
+  'tiger', 'lion', 'eagle', 'silver', 'golden', 'gold', 'diamond', 'crystal', 'purple', 'orange', 'yellow',
+  'green', 'blue', 'black', 'white', 'red', 'pink', 'summer', 'winter', 'spring', 'autumn', 'sun', 'moon',
+  'sky', 'fire', 'water', 'earth', 'storm', 'rain', 'snow', 'ocean', 'river', 'mountain', 'flower', 'rose',
+  'secret', 'private', 'hello', 'welcome', 'please', 'thanks', 'school', 'office', 'work', 'admin', 'user',
+  'login', 'pass', 'word', 'master', 'super', 'boss', 'cool', 'hot', 'sexy', 'devil', 'god', 'jesus',
+  'football', 'soccer', 'hockey', 'tennis', 'golf', 'game', 'player', 'apple', 'google', 'yahoo', 'facebook',
+  'microsoft', 'windows', 'linux', 'iphone', 'samsung', 'computer', 'internet', 'dragon', 'monkey', 'shadow',
+  'ninja', 'pirate', 'killer', 'hunter', 'soldier', 'captain', 'doctor', 'prince', 'princess', 'freedom',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'michael', 'david', 'john', 'james', 'robert', 'william', 'richard', 'joseph', 'thomas', 'charles',
+  'daniel', 'matthew', 'andrew', 'joshua', 'chris', 'alex', 'sam', 'ben', 'jack', 'max', 'mary', 'jennifer',
+  'linda', 'sarah', 'jessica', 'ashley', 'emily', 'emma', 'olivia', 'sophia', 'anna', 'maria', 'laura',
+  'lisa', 'kate', 'amy', 'nicole', 'michelle', 'charlie', 'buddy', 'bella', 'lucy', 'daisy', 'molly'
+];
+
+// Characters commonly typed in place of letters
+const L33T_TABLE = {
+  '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '{': ['c'], '[': ['c'], '<': ['c'], '3': ['e'],
+  '6': ['g'], '9': ['g'], '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'], '0': ['o'], '$': ['s'],
+  '5': ['s'], '7': ['t'], '+': ['t'], '%': ['x'], '2': ['z']
+};
+const MAX_L33T_VARIANTS = 32;
+
+// Keyboards as rows of keys with their shifted characters; `offset` is
+// where a row starts, in key widths, so slanted rows line up
+const KEYBOARDS = {
+  qwerty: [
+    { keys: '`1234567890-=', shifted: '~!@#$%^&*()_+', offset: 0 },
+    { keys: 'qwertyuiop[]\\', shifted: 'QWERTYUIOP{}|', offset: 1.5 },
+    { keys: 'asdfghjkl;\'', shifted: 'ASDFGHJKL:"', offset: 1.75 },
+    { keys: 'zxcvbnm,./', shifted: 'ZXCVBNM<>?', offset: 2.25 }
+  ],
+  keypad: [
+    { keys: '/*-', shifted: '', offset: 1 },
+    { keys: '789+', shifted: '', offset: 0 },
+    { keys: '456', shifted: '', offset: 0 },
+    { keys: '123', shifted: '', offset: 0 },
+    { keys: '0.', shifted: '', offset: 0.5 }
+  ]
+};
+
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]]
+};
+const DATE_WITH_SEPARATOR = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+
+function rankedDictionary(words) {
+  const ranks = new Map();
+  words.forEach((word, index) => {
+    if (!ranks.has(word)) ranks.set(word, index + 1);
+  });
+  return ranks;
+}
+
+const DICTIONARIES = {
+  passwords: rankedDictionary(COMMON_PASSWORDS),
+  words: rankedDictionary(COMMON_WORDS)
+};
+
+// Each key with its neighbours, by the direction they lie in
+function buildAdjacency(rows) {
+  const positions = new Map();
+  rows.forEach((row, rowIndex) => {
+    [...row.keys].forEach((key, column) => {
+      const position = { key, row: rowIndex, x: row.offset + column, shifted: row.shifted[column] || null };
+      positions.set(key, position);
+      if (position.shifted) positions.set(position.shifted, position);
+    });
+  });
+
+  const graph = new Map();
+  const keys = rows.flatMap(row => [...row.keys]);
+  for (const key of keys) {
+    const { row, x } = positions.get(key);
+    const neighbours = [];
+    for (const other of keys) {
+      const position = positions.get(other);
+      const dx = position.x - x;
+      const dy = position.row - row;
+      const adjacent = dy === 0 ? Math.abs(dx) === 1 : Math.abs(dy) === 1 && Math.abs(dx) < 1.5;
+      if (other !== key && adjacent) {
+        neighbours.push({ key: other, direction: `${dy}:${Math.sign(dx)}` });
+      }
+    }
+    graph.set(key, neighbours);
+  }
+
+  const degrees = [...graph.values()].map(neighbours => neighbours.length);
+  return {
+    graph,
+    positions,
+    startingPositions: graph.size,
+    averageDegree: degrees.reduce((sum, degree) => sum + degree, 0) / graph.size
+  };
+}
+
+const KEYBOARD_GRAPHS = Object.fromEntries(Object.entries(KEYBOARDS).map(([name, rows]) => [name, buildAdjacency(rows)]));
+
+function nCk(n, k) {
+  if (k > n) return 0;
+  if (k === 0) return 1;
+  let result = 1;
+  for (let d = 1; d <= k; d++) {
+    result = result * n / d;
+    n--;
+  }
+  return result;
+}
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+// Matchers: each returns { pattern, i, j, token, ... } for a slice [i, j]
+
+function dictionaryMatches(password, dictionaries) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  for (const [name, ranks] of Object.entries(dictionaries)) {
+    for (let i = 0; i < password.length; i++) {
+      for (let j = i + 2; j < password.length; j++) {
+        const word = lower.slice(i, j + 1);
+        if (ranks.has(word)) {
+          matches.push({ pattern: 'dictionary', dictionary: name, i, j, token: password.slice(i, j + 1), word, rank: ranks.get(word) });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+function reversedMatches(password, dictionaries) {
+  const reversed = [...password].reverse().join('');
+  return dictionaryMatches(reversed, dictionaries).map(match => ({
+    ...match,
+    token: [...match.token].reverse().join(''),
+    i: password.length - 1 - match.j,
+    j: password.length - 1 - match.i,
+    reversed: true
+  }));
+}
+
+// Each way of reading the l33t characters in `password` as letters, such as
+// { '4': 'a', '1': 'i' } and { '4': 'a', '1': 'l' }
+function l33tSubstitutions(password) {
+  let maps = [{}];
+  for (const char of new Set(password)) {
+    const letters = L33T_TABLE[char];
+    if (!letters) continue;
+    maps = maps.flatMap(map => letters.map(letter => ({ ...map, [char]: letter }))).slice(0, MAX_L33T_VARIANTS);
+  }
+  return maps.filter(map => Object.keys(map).length > 0);
+}
+
+function l33tMatches(password, dictionaries) {
+  const matches = [];
+  const seen = new Set();
+  for (const map of l33tSubstitutions(password)) {
+    const translated = [...password].map(char => map[char] || char).join('');
+    for (const match of dictionaryMatches(translated, dictionaries)) {
+      const token = password.slice(match.i, match.j + 1);
+      const subs = Object.fromEntries(Object.entries(map).filter(([char]) => token.includes(char)));
+      const key = `${match.dictionary}:${match.i}:${match.j}:${match.word}`;
+      if (Object.keys(subs).length === 0 || seen.has(key)) continue;
+      seen.add(key);
+      matches.push({ ...match, token, l33t: true, subs });
+    }
+  }
+  return matches;
+}
+
+function spatialMatches(password) {
+  const matches = [];
+  for (const [name, keyboard] of Object.entries(KEYBOARD_GRAPHS)) {
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let lastDirection = null;
+      let turns = 0;
+      const start = keyboard.positions.get(password[i]);
+      let shifted = start && start.shifted === password[i] ? 1 : 0;
+
+      while (j < password.length) {
+        const previous = keyboard.positions.get(password[j - 1]);
+        const current = keyboard.positions.get(password[j]);
+        const neighbour = previous && current && keyboard.graph.get(previous.key).find(entry => entry.key === current.key);
+        if (!neighbour) break;
+        if (neighbour.direction !== lastDirection) {
+          turns++;
+          lastDirection = neighbour.direction;
+        }
+        if (current.shifted === password[j]) shifted++;
+        j++;
+      }
+
+      if (j - i >= 3) {
+        matches.push({ pattern: 'spatial', graph: name, i, j: j - 1, token: password.slice(i, j), turns, shiftedCount: shifted });
+      }
+      i = j;
+    }
+  }
+  return matches;
+}
+
+function sequenceMatches(password) {
+  const matches = [];
+  const push = (i, j, delta) => {
+    if (j - i >= 2) matches.push({ pattern: 'sequence', i, j, token: password.slice(i, j + 1), ascending: delta > 0 });
+  };
+
+  if (password.length < 3) return matches;
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (lastDelta === null) lastDelta = delta;
+    if (delta === lastDelta) continue;
+    if (lastDelta !== 0 && Math.abs(lastDelta) <= 5) push(i, k - 1, lastDelta);
+    i = k - 1;
+    lastDelta = delta;
+  }
+  if (lastDelta !== 0 && Math.abs(lastDelta) <= 5) push(i, password.length - 1, lastDelta);
+  return matches;
+}
+
+function repeatMatches(password, dictionaries) {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  let match;
+  while ((match = greedy.exec(password)) !== null) {
+    const token = match[0];
+    // The shortest unit that repeats to make the token, e.g. "ab" for "abababab"
+    const lazy = /^(.+?)\1+$/.exec(token);
+    const base = lazy ? lazy[1] : match[1];
+    const { guesses } = mostGuessableSequence(base, omnimatch(base, dictionaries));
+    matches.push({ pattern: 'repeat', i: match.index, j: match.index + token.length - 1, token, base, baseGuesses: guesses, repeatCount: token.length / base.length });
+  }
+  return matches;
+}
+
+function twoDigitYear(year) {
+  if (year > 99) return year;
+  return year > 50 ? year + 1900 : year + 2000;
+}
+
+// The reading of three numbers as a day, month and year closest to today
+function readDate(numbers) {
+  const candidates = [];
+  for (const [yearIndex, rest] of [[2, [0, 1]], [0, [1, 2]]]) {
+    const rawYear = numbers[yearIndex];
+    if (rawYear > 99 && (rawYear < 1000 || rawYear > 2050)) continue;
+    const year = twoDigitYear(rawYear);
+    for (const [dayIndex, monthIndex] of [rest, [rest[1], rest[0]]]) {
+      const day = numbers[dayIndex];
+      const month = numbers[monthIndex];
+      if (day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+        candidates.push({ year, month, day });
+      }
+    }
+  }
+  const referenceYear = new Date().getFullYear();
+  candidates.sort((a, b) => Math.abs(a.year - referenceYear) - Math.abs(b.year - referenceYear));
+  return candidates[0] || null;
+}
+
+function dateMatches(password) {
+  const matches = [];
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j + 1);
+
+      if (/^\d+$/.test(token) && DATE_SPLITS[token.length]) {
+        for (const [k, l] of DATE_SPLITS[token.length]) {
+          const date = readDate([token.slice(0, k), token.slice(k, l), token.slice(l)].map(Number));
+          if (date) {
+            matches.push({ pattern: 'date', i, j, token, separator: '', year: date.year });
+            break;
+          }
+        }
+        continue;
+      }
+
+      const parts = DATE_WITH_SEPARATOR.exec(token);
+      if (parts) {
+        const date = readDate([parts[1], parts[3], parts[4]].map(Number));
+        if (date) {
+          matches.push({ pattern: 'date', i, j, token, separator: parts[2], year: date.year });
+        }
+      }
+    }
+  }
+
+  const years = /19\d\d|20\d\d/g;
+  let match;
+  while ((match = years.exec(password)) !== null) {
+    matches.push({ pattern: 'year', i: match.index, j: match.index + 3, token: match[0], year: Number(match[0]) });
+  }
+  return matches;
+}
+
+function omnimatch(password, dictionaries) {
+  return [
+    ...dictionaryMatches(password, dictionaries),
+    ...reversedMatches(password, dictionaries),
+    ...l33tMatches(password, dictionaries),
+    ...spatialMatches(password),
+    ...sequenceMatches(password),
+    ...repeatMatches(password, dictionaries),
+    ...dateMatches(password)
+  ];
+}
+
+// Guess estimates per pattern
+
+function uppercaseVariations(token) {
+  if (/^[^A-Z]+$/.test(token) || token.toLowerCase() === token) return 1;
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+  const upper = [...token].filter(char => /[A-Z]/.test(char)).length;
+  const lower = [...token].filter(char => /[a-z]/.test(char)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+  return variations;
+}
+
+function l33tVariations(match) {
+  if (!match.l33t) return 1;
+  let variations = 1;
+  const token = match.token.toLowerCase();
+  for (const [subbed, unsubbed] of Object.entries(match.subs)) {
+    const s = [...token].filter(char => char === subbed).length;
+    const u = [...token].filter(char => char === unsubbed).length;
+    if (s === 0 || u === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(s, u); i++) possibilities += nCk(s + u, i);
+      variations *= possibilities;
+    }
+  }
+  return variations;
+}
+
+function spatialGuesses(match) {
+  const { startingPositions: s, averageDegree: d } = KEYBOARD_GRAPHS[match.graph];
+  const length = match.token.length;
+  let guesses = 0;
+  for (let i = 2; i <= length; i++) {
+    for (let j = 1; j <= Math.min(match.turns, i - 1); j++) {
+      guesses += nCk(i - 1, j - 1) * s * Math.pow(d, j);
+    }
+  }
+  if (match.shiftedCount) {
+    const shifted = match.shiftedCount;
+    const unshifted = length - shifted;
+    if (unshifted === 0) {
+      guesses *= 2;
+    } else {
+      let variations = 0;
+      for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += nCk(shifted + unshifted, i);
+      guesses *= variations;
+    }
+  }
+  return guesses;
+}
+
+function sequenceGuesses(match) {
+  const first = match.token[0];
+  let base;
+  if ('aAzZ019'.includes(first)) base = 4;
+  else if (/\d/.test(first)) base = 10;
+  else base = 26;
+  return base * match.token.length * (match.ascending ? 1 : 2);
+}
+
+function yearSpace(year) {
+  return Math.max(Math.abs(year - new Date().getFullYear()), MIN_YEAR_SPACE);
+}
+
+function estimateGuesses(match, password) {
+  if (match.guesses !== undefined) return match.guesses;
+
+  let guesses;
+  switch (match.pattern) {
+    case 'bruteforce':
+      guesses = Math.min(Math.pow(BRUTEFORCE_CARDINALITY, match.token.length), Number.MAX_VALUE);
+      guesses = Math.max(guesses, match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR + 1 : MIN_SUBMATCH_GUESSES_MULTI_CHAR + 1);
+      break;
+    case 'dictionary':
+      guesses = match.rank * uppercaseVariations(match.token) * l33tVariations(match) * (match.reversed ? 2 : 1);
+      break;
+    case 'spatial':
+      guesses = spatialGuesses(match);
+      break;
+    case 'sequence':
+      guesses = sequenceGuesses(match);
+      break;
+    case 'repeat':
+      guesses = match.baseGuesses * match.repeatCount;
+      break;
+    case 'date':
+      guesses = 365 * yearSpace(match.year) * (match.separator ? 4 : 1);
+      break;
+    case 'year':
+      guesses = yearSpace(match.year);
+      break;
+    default:
+      guesses = 1;
+  }
+
+  // A piece of a longer password is never counted as cheaper than this
+  if (match.token.length < password.length) {
+    const minimum = match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+    guesses = Math.max(guesses, minimum);
+  }
+  match.guesses = guesses;
+  return guesses;
+}
+
+// The split of the password into matches, with brute force for the gaps,
+// that needs the fewest guesses. A split of l pieces also has to be found
+// among the orderings of those pieces, hence the l! factor.
+function mostGuessableSequence(password, matches) {
+  const n = password.length;
+  if (n === 0) return { guesses: 1, sequence: [] };
+
+  const byEnd = Array.from({ length: n }, () => []);
+  matches.forEach(match => byEnd[match.j].push(match));
+
+  const optimal = {
+    m: Array.from({ length: n }, () => new Map()),
+    pi: Array.from({ length: n }, () => new Map()),
+    g: Array.from({ length: n }, () => new Map())
+  };
+
+  const update = (match, length) => {
+    const k = match.j;
+    let pi = estimateGuesses(match, password);
+    if (length > 1) pi *= optimal.pi[match.i - 1].get(length - 1);
+    const g = Math.min(factorial(length) * pi + Math.pow(MIN_GUESSES_BEFORE_GROWING_SEQUENCE, length - 1), Number.MAX_VALUE);
+    for (const [otherLength, otherG] of optimal.g[k]) {
+      if (otherLength <= length && otherG <= g) return;
+    }
+    optimal.m[k].set(length, match);
+    optimal.pi[k].set(length, pi);
+    optimal.g[k].set(length, g);
+  };
+
+  const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
+
+  for (let k = 0; k < n; k++) {
+    for (const match of byEnd[k]) {
+      if (match.i > 0) {
+        for (const length of optimal.m[match.i - 1].keys()) update(match, length + 1);
+      } else {
+        update(match, 1);
+      }
+    }
+
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      const match = bruteforce(i, k);
+      for (const [length, previous] of optimal.m[i - 1]) {
+        // Two brute-force pieces in a row are never better than one
+        if (previous.pattern !== 'bruteforce') update(match, length + 1);
+      }
+    }
+  }
+
+  let bestLength = null;
+  let guesses = Infinity;
+  for (const [length, g] of optimal.g[n - 1]) {
+    if (g < guesses) {
+      bestLength = length;
+      guesses = g;
+    }
+  }
+
+  const sequence = [];
+  let k = n - 1;
+  let length = bestLength;
+  while (k >= 0) {
+    const match = optimal.m[k].get(length);
+    sequence.unshift(match);
+    k = match.i - 1;
+    length--;
+  }
+  return { guesses, sequence };
+}
+
+function scoreFor(guesses) {
+  if (guesses < 1e3 + 5) return 0;
+  if (guesses < 1e6 + 5) return 1;
+  if (guesses < 1e8 + 5) return 2;
+  if (guesses < 1e10 + 5) return 3;
+  return 4;
+}
+
+function crackTimeDisplay(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const units = [
+    ['second', 1], ['minute', 60], ['hour', 3600], ['day', 86400],
+    ['month', 86400 * 31], ['year', 86400 * 365]
+  ];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 86400 * 365 * 100) return 'centuries';
+
+  let [name, size] = units[0];
+  for (const unit of units) {
+    if (seconds >= unit[1]) [name, size] = unit;
+  }
+  const count = Math.round(seconds / size);
+  return `${count} ${name}${count === 1 ? '' : 's'}`;
+}
+
+function dictionaryWarning(match, isSoleMatch) {
+  if (match.dictionary === 'passwords') {
+    if (isSoleMatch && !match.l33t && !match.reversed) {
+      if (match.rank <= 10) return 'This is a top-10 common password';
+      if (match.rank <= 100) return 'This is a top-100 common password';
+    }
+    return 'This is similar to a commonly used password';
+  }
+  if (match.dictionary === 'user_inputs') return 'Names and usernames from this entry are easy to guess';
+  return isSoleMatch ? 'A word by itself is easy to guess' : '';
+}
+
+function feedbackFor(score, sequence) {
+  if (sequence.length === 0) {
+    return { warning: '', suggestions: ['Use a few words, avoid common phrases', 'No need for symbols, digits, or uppercase letters'] };
+  }
+  if (score > 2) return { warning: '', suggestions: [] };
+
+  const longest = sequence.reduce((best, match) => (match.token.length > best.token.length ? match : best));
+  const suggestions = ['Add another word or two. Uncommon words are better.'];
+  let warning = '';
+  switch (longest.pattern) {
+    case 'dictionary':
+      warning = dictionaryWarning(longest, sequence.length === 1);
+      if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push('Capitalization doesn\'t help very much');
+      if (/^[^a-z]+$/.test(longest.token) && /[A-Z]/.test(longest.token)) suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+      if (longest.reversed) suggestions.push('Reversed words aren\'t much harder to guess');
+      if (longest.l33t) suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+      break;
+    case 'spatial':
+      warning = longest.turns === 1 ? 'Straight rows of keys are easy to guess' : 'Short keyboard patterns are easy to guess';
+      suggestions.push('Use a longer keyboard pattern with more turns');
+      break;
+    case 'repeat':
+      warning = longest.base.length === 1 ? 'Repeats like "aaa" are easy to guess' : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"';
+      suggestions.push('Avoid repeated words and characters');
+      break;
+    case 'sequence':
+      warning = 'Sequences like abc or 6543 are easy to guess';
+      suggestions.push('Avoid sequences');
+      break;
+    case 'year':
+      warning = 'Recent years are easy to guess';
+      suggestions.push('Avoid recent years', 'Avoid years that are associated with you');
+      break;
+    case 'date':
+      warning = 'Dates are often easy to guess';
+      suggestions.push('Avoid dates and years that are associated with you');
+      break;
+  }
+  return { warning, suggestions };
+}
+
+// Words from the entry itself, such as its label and username, which an
+// attacker targeting this account would try early
+function userInputDictionary(userInputs) {
+  const words = [];
+  for (const input of userInputs) {
+    const text = String(input || '').toLowerCase();
+    words.push(text, ...text.split(/[^a-z0-9]+/));
+  }
+  return rankedDictionary(words.filter(word => word.length >= 3));
+}
+
+// Estimate how hard `password` is to guess. Returns its score (0-4), the
+// estimated guesses and offline crack time, and advice for weak passwords.
+function estimateStrength(password, userInputs = []) {
+  const text = String(password || '').slice(0, MAX_ESTIMATE_LENGTH);
+  const dictionaries = { ...DICTIONARIES, user_inputs: userInputDictionary(userInputs) };
+  const { guesses, sequence } = mostGuessableSequence(text, omnimatch(text, dictionaries));
+  const score = text ? scoreFor(guesses) : 0;
+  const crackTimeSeconds = text ? guesses / GUESSES_PER_SECOND : 0;
+
+  return {
+    score,
+    label: STRENGTH_LABELS[score],
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    crackTimeSeconds,
+    crackTimeDisplay: crackTimeDisplay(crackTimeSeconds),
+    feedback: feedbackFor(score, sequence.filter(match => match.pattern !== 'bruteforce').length ? sequence : [])
+  };
+}
+
+module.exports = {
+  STRENGTH_LABELS,
+  estimateStrength,
+  crackTimeDisplay
+};
@@ -8,19 +8,63 @@ contextBridge.exposeInMainWorld('electronAPI', {
   registerUser: (userData) => ipcRenderer.invoke('register-user', userData),
   logoutUser: () => ipcRenderer.invoke('logout-user'),
   checkAuth: () => ipcRenderer.invoke('check-auth'),
+  verifyLoginTotp: (code) => ipcRenderer.invoke('verify-login-totp', { code }),
+  cancelPendingLogin: () => ipcRenderer.invoke('cancel-pending-login'),
+  recoverAccount: (recoveryData) => ipcRenderer.invoke('recover-account', recoveryData),
+  changeMasterPassword: (currentPassword, newPassword, keyFile) => ipcRenderer.invoke('change-master-password', { currentPassword, newPassword, keyFile }),
+  onMasterPasswordProgress: (callback) => ipcRenderer.on('master-password-progress', callback),
+  
+  // Auto-lock
+  lockVault: () => ipcRenderer.invoke('lock-vault'),
+  unlockVault: (password, keyFile) => ipcRenderer.invoke('unlock-vault', { password, keyFile }),
+  reportActivity: () => ipcRenderer.invoke('report-activity'),
+  getLockSettings: () => ipcRenderer.invoke('get-lock-settings'),
+  updateLockSettings: (settings) => ipcRenderer.invoke('update-lock-settings', settings),
+  onVaultLocked: (callback) => ipcRenderer.on('vault-locked', callback),
+  // Sent when an expiry reminder notification is clicked
+  onShowExpiringPasswords: (callback) => ipcRenderer.on('show-expiring-passwords', callback),
+  
+  // Two-factor authentication
+  getTotpStatus: () => ipcRenderer.invoke('get-totp-status'),
+  beginTotpEnrollment: () => ipcRenderer.invoke('begin-totp-enrollment'),
+  confirmTotpEnrollment: (code, window) => ipcRenderer.invoke('confirm-totp-enrollment', { code, window }),
+  updateTotpWindow: (window) => ipcRenderer.invoke('update-totp-window', { window }),
+  disableTotp: (password) => ipcRenderer.invoke('disable-totp', { password }),
+  
+  // Key file
+  getKeyFileStatus: () => ipcRenderer.invoke('get-key-file-status'),
+  updateKeyFile: (options) => ipcRenderer.invoke('update-key-file', options),
+  
+  // Recovery codes
+  getRecoveryStatus: () => ipcRenderer.invoke('get-recovery-status'),
+  generateRecoveryCodes: (password) => ipcRenderer.invoke('generate-recovery-codes', { password }),
+  saveEmergencyKit: (username, codes) => ipcRenderer.invoke('save-emergency-kit', { username, codes }),
   
   // Navigation
   navigateToDashboard: () => ipcRenderer.invoke('navigate-to-dashboard'),
   
   // Password management
-  getPasswords: (searchTerm) => ipcRenderer.invoke('get-passwords', searchTerm),
+  getPasswords: (searchTerm, options) => ipcRenderer.invoke('get-passwords', searchTerm, options),
   addPassword: (passwordData) => ipcRenderer.invoke('add-password', passwordData),
   updatePassword: (id, passwordData) => ipcRenderer.invoke('update-password', { id, ...passwordData }),
   deletePassword: (id) => ipcRenderer.invoke('delete-password', id),
+  // Apply changes ({ folder_id, addTags, removeTags, is_favorite, delete }) to several passwords at once
+  bulkUpdatePasswords: (ids, changes) => ipcRenderer.invoke('bulk-update-passwords', ids, changes),
+  undoBulkUpdate: (undoToken) => ipcRenderer.invoke('undo-bulk-update', undoToken),
   copyPassword: (id) => ipcRenderer.invoke('copy-password', id),
+  copyCustomField: (id, fieldIndex) => ipcRenderer.invoke('copy-custom-field', id, fieldIndex),
+  migrateFernetEntries: (fernetKey) => ipcRenderer.invoke('migrate-fernet-entries', { fernetKey }),
+  
+  // Password history
+  getPasswordHistory: (passwordId) => ipcRenderer.invoke('get-password-history', passwordId),
+  copyPasswordVersion: (historyId) => ipcRenderer.invoke('copy-password-version', historyId),
+  restorePasswordVersion: (historyId) => ipcRenderer.invoke('restore-password-version', historyId),
+  getHistorySettings: () => ipcRenderer.invoke('get-history-settings'),
+  updateHistorySettings: (settings) => ipcRenderer.invoke('update-history-settings', settings),
   
   // Utility functions
   generatePassword: (options) => ipcRenderer.invoke('generate-password', options),
+  estimatePasswordStrength: (password, userInputs = []) => ipcRenderer.invoke('estimate-password-strength', { password, userInputs }),
   showNotification: (message) => ipcRenderer.invoke('show-notification', message),
   
   // Import functionality
@@ -38,6 +82,55 @@ contextBridge.exposeInMainWorld('electronAPI', {
   updateSecureNote: (id, noteData) => ipcRenderer.invoke('update-secure-note', { id, ...noteData }),
   deleteSecureNote: (id) => ipcRenderer.invoke('delete-secure-note', id),
   
+  // Structured items (cards, identities, SSH keys, licenses, Wi-Fi)
+  getItemTypes: () => ipcRenderer.invoke('get-item-types'),
+  getItems: () => ipcRenderer.invoke('get-items'),
+  addItem: (itemData) => ipcRenderer.invoke('add-item', itemData),
+  updateItem: (id, itemData) => ipcRenderer.invoke('update-item', { id, ...itemData }),
+  deleteItem: (id) => ipcRenderer.invoke('delete-item', id),
+  copyItemField: (id, fieldKey) => ipcRenderer.invoke('copy-item-field', id, fieldKey),
+  recordItemReveal: (id, fieldKey) => ipcRenderer.invoke('record-item-reveal', id, fieldKey),
+  
+  // Favorites (passwords by default; type 'note' or 'item' for the others)
+  toggleFavorite: (id, type = 'password') => ipcRenderer.invoke('toggle-favorite', { type, id }),
+  setFavorites: (entries, favorite) => ipcRenderer.invoke('set-favorites', entries, favorite),
+  
+  // Usage: copies, reveals and opened URLs are counted
+  openPasswordUrl: (id) => ipcRenderer.invoke('open-password-url', id),
+  getUnusedPasswords: (months) => ipcRenderer.invoke('get-unused-passwords', months),
+  
+  // Expiry and rotation reminders
+  getExpiringPasswords: () => ipcRenderer.invoke('get-expiring-passwords'),
+  snoozeExpiry: (id, days) => ipcRenderer.invoke('snooze-expiry', id, days),
+  markPasswordRotated: (id) => ipcRenderer.invoke('mark-password-rotated', id),
+  getExpiryHistory: (id) => ipcRenderer.invoke('get-expiry-history', id),
+  
+  // Folders
+  getFolders: () => ipcRenderer.invoke('get-folders'),
+  createFolder: (name, parentId) => ipcRenderer.invoke('create-folder', { name, parent_id: parentId }),
+  renameFolder: (id, name) => ipcRenderer.invoke('rename-folder', id, name),
+  moveFolder: (id, parentId) => ipcRenderer.invoke('move-folder', id, parentId),
+  deleteFolder: (id) => ipcRenderer.invoke('delete-folder', id),
+  moveEntries: (entries, folderId) => ipcRenderer.invoke('move-entries', entries, folderId),
+  
+  // Audit log
+  getAuditLog: (filters) => ipcRenderer.invoke('get-audit-log', filters),
+  exportAuditLog: (filters) => ipcRenderer.invoke('export-audit-log', filters),
+  recordPasswordReveal: (passwordId, fieldName) => ipcRenderer.invoke('record-password-reveal', passwordId, fieldName),
+  
+  // Trash
+  getTrash: () => ipcRenderer.invoke('get-trash'),
+  restoreFromTrash: (items) => ipcRenderer.invoke('restore-from-trash', items),
+  emptyTrash: () => ipcRenderer.invoke('empty-trash'),
+  updateTrashSettings: (settings) => ipcRenderer.invoke('update-trash-settings', settings),
+  
+  // Attachments
+  getAttachments: (ownerType, ownerId) => ipcRenderer.invoke('get-attachments', { ownerType, ownerId }),
+  attachFiles: (ownerType, ownerId) => ipcRenderer.invoke('attach-files', { ownerType, ownerId }),
+  saveAttachment: (attachmentId) => ipcRenderer.invoke('save-attachment', attachmentId),
+  openAttachment: (attachmentId) => ipcRenderer.invoke('open-attachment', attachmentId),
+  deleteAttachment: (attachmentId) => ipcRenderer.invoke('delete-attachment', attachmentId),
+  
   // Navigation events
   onNavigate: (callback) => ipcRenderer.on('navigate-to', callback),
   
@@ -163,15 +256,35 @@ window.addEventListener('contextmenu', (event) => {
   }
 });
 
-// Add drag and drop support for files (if needed for future features)
+// Drag and drop: files dropped on an element with data-attachment-owner="type:id"
+// are attached to that entry. The element then receives an
+// 'attachments-dropped' event whose detail is the JSON list of results.
 window.addEventListener('dragover', (event) => {
   event.preventDefault();
   event.dataTransfer.dropEffect = 'copy';
 });
 
-window.addEventListener('drop', (event) => {
+// Same limit as MAX_ATTACHMENT_SIZE in vault-service.js; checked here so an
+// oversized file is never read into memory
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+window.addEventListener('drop', async (event) => {
   event.preventDefault();
-  // Handle file drops here if needed
+  const zone = event.target.closest && event.target.closest('[data-attachment-owner]');
+  if (!zone || event.dataTransfer.files.length === 0) return;
+
+  const [ownerType, ownerId] = zone.dataset.attachmentOwner.split(':');
+  const results = [];
+  for (const file of Array.from(event.dataTransfer.files)) {
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      results.push({ name: file.name, success: false, error: `Attachments are limited to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB` });
+      continue;
+    }
+    const data = new Uint8Array(await file.arrayBuffer());
+    const result = await ipcRenderer.invoke('add-attachment', { ownerType, ownerId: Number(ownerId), name: file.name, type: file.type, data });
+    results.push({ name: file.name, success: result.success, error: result.error });
+  }
+  zone.dispatchEvent(new CustomEvent('attachments-dropped', { detail: JSON.stringify(results) }));
 });
 
 // Improve form validation UX
@@ -0,0 +1,69 @@
+// In-memory search over decrypted entry metadata
+// Labels, usernames, URLs, notes and tags are encrypted in the database, so
+// SQL LIKE cannot search them. The index is built when the vault is unlocked
+// and dropped when it locks.
+
+const { CONCEALED_TYPES } = require('./custom-fields');
+
+const SEARCH_FIELDS = ['label', 'username', 'url', 'tags', 'notes'];
+
+// Custom fields match by name, and by value unless the value is concealed
+function customFieldText(customFields) {
+  return (customFields || [])
+    .map(field => (CONCEALED_TYPES.includes(field.type) ? field.name : `${field.name}\n${field.value}`))
+    .join('\n');
+}
+
+class SearchIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  set(id, fields) {
+    const text = SEARCH_FIELDS
+      .map(field => fields[field] || '')
+      .concat(customFieldText(fields.custom_fields))
+      .join('\n')
+      .toLowerCase();
+    this.entries.set(Number(id), { label: fields.label || '', text });
+  }
+
+  delete(id) {
+    this.entries.delete(Number(id));
+  }
+
+  // Ids of entries containing every whitespace-separated term
+  search(searchTerm) {
+    const terms = String(searchTerm || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = new Set();
+    for (const [id, entry] of this.entries) {
+      if (terms.every(term => entry.text.includes(term))) {
+        matches.add(id);
+      }
+    }
+    return matches;
+  }
+
+  // Labels must stay unique per user, which the database can no longer check
+  hasLabel(label, exceptId = null) {
+    for (const [id, entry] of this.entries) {
+      if (entry.label === label && id !== Number(exceptId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SearchIndex
+};
@@ -0,0 +1,119 @@
+// RFC 6238 time-based one-time passwords for two-factor login
+// Secrets are 20 random bytes, shown to the user as base32 for authenticator apps.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_LENGTH = 20;
+const DEFAULT_OPTIONS = {
+  step: 30,
+  digits: 6,
+  algorithm: 'sha1'
+};
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('INVALID_TOTP_SECRET');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_LENGTH));
+}
+
+function timeStep(time = Date.now(), step = DEFAULT_OPTIONS.step) {
+  return Math.floor(time / 1000 / step);
+}
+
+// HOTP (RFC 4226) value for a counter
+function generateCodeForStep(secret, counter, options = {}) {
+  const { digits, algorithm } = { ...DEFAULT_OPTIONS, ...options };
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function generateCode(secret, time = Date.now(), options = {}) {
+  const { step } = { ...DEFAULT_OPTIONS, ...options };
+  return generateCodeForStep(secret, timeStep(time, step), options);
+}
+
+// Check a code against the current step and `window` steps either side to
+// allow for clock skew. Returns the matching step, or null when no step matches,
+// so callers can reject a step that was already used.
+function verifyCode(secret, code, { window = 1, time = Date.now(), ...options } = {}) {
+  const { step, digits } = { ...DEFAULT_OPTIONS, ...options };
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCodeForStep(secret, current + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri(secret, accountName, issuer = 'Password Vault') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULT_OPTIONS.algorithm.toUpperCase(),
+    digits: String(DEFAULT_OPTIONS.digits),
+    period: String(DEFAULT_OPTIONS.step)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
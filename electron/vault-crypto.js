@@ -0,0 +1,336 @@
+// Key derivation and key wrapping for Password Vault
+// The data key that encrypts vault rows is never stored in plaintext; it is
+// wrapped with a key derived from the user's master password.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const WRAP_NONCE_LENGTH = 12;
+const WRAP_AAD = Buffer.from('password-vault:key-wrap:v1');
+const ENVELOPE_PREFIX = 'v2:gcm:';
+const ENVELOPE_NONCE_LENGTH = 12;
+
+const DEFAULT_KDF_PARAMS = {
+  algorithm: 'scrypt',
+  N: 32768,
+  r: 8,
+  p: 1
+};
+
+function generateDataKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+function generateSalt() {
+  return crypto.randomBytes(SALT_LENGTH).toString('hex');
+}
+
+// Key files are an optional second factor: only their SHA-256 is used, so
+// any file works, as long as it never changes
+function hashKeyFile(contents) {
+  if (!contents || contents.length === 0) {
+    throw new Error('KEY_FILE_EMPTY');
+  }
+  return crypto.createHash('sha256').update(contents).digest();
+}
+
+// With a key file (params.keyFile) the KDF input is
+// SHA-256(password) || SHA-256(key file), so neither factor works alone
+function kdfInput(password, params, keyFileHash) {
+  const passwordBytes = Buffer.from(String(password), 'utf8');
+  if (!params.keyFile) {
+    return passwordBytes;
+  }
+  if (!keyFileHash) {
+    throw new Error('KEY_FILE_REQUIRED');
+  }
+  return Buffer.concat([crypto.createHash('sha256').update(passwordBytes).digest(), keyFileHash]);
+}
+
+// Derive a key-encryption key from the master password and optional key file
+async function deriveKey(password, saltHex, params = DEFAULT_KDF_PARAMS, keyFileHash = null) {
+  if (!password) {
+    throw new Error('Cannot derive key from empty password');
+  }
+  if (params.algorithm !== 'scrypt') {
+    throw new Error(`Unsupported KDF algorithm: ${params.algorithm}`);
+  }
+
+  const { N, r, p } = params;
+  return scrypt(kdfInput(password, params, keyFileHash), Buffer.from(saltHex, 'hex'), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    // scrypt needs roughly 128 * N * r bytes; leave headroom for the default limit
+    maxmem: 256 * N * r
+  });
+}
+
+// Wrap a data key with AES-256-GCM so a wrong password is detected on unwrap
+function wrapKey(dataKey, wrappingKey) {
+  const nonce = crypto.randomBytes(WRAP_NONCE_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, nonce);
+  cipher.setAAD(WRAP_AAD);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [nonce.toString('hex'), tag.toString('hex'), wrapped.toString('hex')].join(':');
+}
+
+function unwrapKey(wrappedKey, wrappingKey) {
+  const parts = String(wrappedKey).split(':');
+  if (parts.length !== 3) {
+    throw new Error('INVALID_WRAPPED_KEY');
+  }
+
+  try {
+    const [nonceHex, tagHex, wrappedHex] = parts;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(nonceHex, 'hex'));
+    decipher.setAAD(WRAP_AAD);
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(wrappedHex, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error('KEY_UNWRAP_FAILED');
+  }
+}
+
+// Derive the wrapping key from the password and wrap the data key in one step.
+// Passing a key file hash records it in the params so unwrapping requires it.
+async function wrapKeyWithPassword(dataKey, password, params = DEFAULT_KDF_PARAMS, keyFileHash = null) {
+  const salt = generateSalt();
+  const { keyFile, ...baseParams } = params;
+  const wrapParams = keyFileHash ? { ...baseParams, keyFile: true } : baseParams;
+  const wrappingKey = await deriveKey(password, salt, wrapParams, keyFileHash);
+  try {
+    return { salt, params: wrapParams, wrappedKey: wrapKey(dataKey, wrappingKey) };
+  } finally {
+    wrappingKey.fill(0);
+  }
+}
+
+async function unwrapKeyWithPassword(record, password, keyFileHash = null) {
+  const wrappingKey = await deriveKey(password, record.salt, record.params, keyFileHash);
+  try {
+    return unwrapKey(record.wrappedKey, wrappingKey);
+  } finally {
+    wrappingKey.fill(0);
+  }
+}
+
+// Versioned authenticated envelope: v2:gcm:<nonce>:<tag>:<ciphertext>
+// The context (e.g. "passwords:12:3") is bound as associated data, so a
+// ciphertext copied to another row or user fails to decrypt.
+function isEnvelope(value) {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+function encryptEnvelope(plaintext, key, context) {
+  const nonce = crypto.randomBytes(ENVELOPE_NONCE_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(Buffer.from(String(context), 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ENVELOPE_PREFIX + [nonce.toString('hex'), tag.toString('hex'), ciphertext.toString('hex')].join(':');
+}
+
+function decryptEnvelope(envelope, key, context) {
+  const parts = String(envelope).slice(ENVELOPE_PREFIX.length).split(':');
+  if (!isEnvelope(envelope) || parts.length !== 3) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+
+  try {
+    const [nonceHex, tagHex, ciphertextHex] = parts;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(nonceHex, 'hex'));
+    decipher.setAAD(Buffer.from(String(context), 'utf8'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertextHex, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+}
+
+// Binary chunks (file attachments) skip the hex envelope to avoid doubling
+// their size: nonce || tag || ciphertext
+const CHUNK_TAG_LENGTH = 16;
+
+function encryptChunk(data, key, context) {
+  const nonce = crypto.randomBytes(ENVELOPE_NONCE_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(Buffer.from(String(context), 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([nonce, cipher.getAuthTag(), ciphertext]);
+}
+
+function decryptChunk(chunk, key, context) {
+  const data = Buffer.from(chunk);
+  if (data.length < ENVELOPE_NONCE_LENGTH + CHUNK_TAG_LENGTH) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, ENVELOPE_NONCE_LENGTH));
+    decipher.setAAD(Buffer.from(String(context), 'utf8'));
+    decipher.setAuthTag(data.subarray(ENVELOPE_NONCE_LENGTH, ENVELOPE_NONCE_LENGTH + CHUNK_TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(ENVELOPE_NONCE_LENGTH + CHUNK_TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+}
+
+// Sealed envelopes: encrypted to an X25519 public key, so they can be written
+// without the data key (e.g. audit events for a failed login). An ephemeral
+// key agreement feeds HKDF; the result encrypts a regular v2 envelope body.
+const SEALED_PREFIX = 'v2:x25519:';
+const SEAL_INFO = Buffer.from('password-vault:seal:v1');
+
+// Keys as hex DER: SPKI for the public key, PKCS#8 for the private key
+function generateSealingKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('hex'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('hex')
+  };
+}
+
+function sealingKey(privateKey, publicKey, ephemeralPublicHex) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.from(ephemeralPublicHex, 'hex'), SEAL_INFO, KEY_LENGTH));
+}
+
+function sealEnvelope(plaintext, publicKeyHex, context) {
+  const recipient = crypto.createPublicKey({ key: Buffer.from(publicKeyHex, 'hex'), format: 'der', type: 'spki' });
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralPublicHex = ephemeral.publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
+  const key = sealingKey(ephemeral.privateKey, recipient, ephemeralPublicHex);
+  try {
+    const body = encryptEnvelope(plaintext, key, context).slice(ENVELOPE_PREFIX.length);
+    return `${SEALED_PREFIX}${ephemeralPublicHex}:${body}`;
+  } finally {
+    key.fill(0);
+  }
+}
+
+// Throws TAMPERED_CIPHERTEXT like decryptEnvelope
+function openSealedEnvelope(sealed, privateKeyHex, context) {
+  const value = String(sealed);
+  const separator = value.indexOf(':', SEALED_PREFIX.length);
+  if (!value.startsWith(SEALED_PREFIX) || separator === -1) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+
+  let key;
+  try {
+    const ephemeralPublicHex = value.slice(SEALED_PREFIX.length, separator);
+    const ephemeral = crypto.createPublicKey({ key: Buffer.from(ephemeralPublicHex, 'hex'), format: 'der', type: 'spki' });
+    const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+    key = sealingKey(privateKey, ephemeral, ephemeralPublicHex);
+  } catch (error) {
+    throw new Error('TAMPERED_CIPHERTEXT');
+  }
+
+  try {
+    return decryptEnvelope(ENVELOPE_PREFIX + value.slice(separator + 1), key, context);
+  } finally {
+    key.fill(0);
+  }
+}
+
+// Recovery codes: 80 random bits shown as four groups of four base32 characters.
+// Each code wraps the data key like a password; the SHA-256 lookup hash only
+// identifies which stored code was entered.
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateRecoveryCode() {
+  const bytes = crypto.randomBytes(16);
+  let code = '';
+  for (let i = 0; i < 16; i++) {
+    code += RECOVERY_ALPHABET[bytes[i] & 31];
+  }
+  return code.match(/.{4}/g).join('-');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashRecoveryCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${normalizeRecoveryCode(code)}`).digest('hex');
+}
+
+// Fernet tokens written by the old Flask app (read-only):
+// base64url(0x80 | timestamp(8) | iv(16) | AES-128-CBC ciphertext | HMAC-SHA256(32))
+// The 32-byte key is split into a signing half and an encryption half.
+const FERNET_VERSION = 0x80;
+const FERNET_HEADER_LENGTH = 1 + 8 + 16;
+const FERNET_HMAC_LENGTH = 32;
+
+function isFernetToken(value) {
+  return typeof value === 'string' && value.startsWith('gAAAAA');
+}
+
+function decodeBase64Url(value) {
+  return Buffer.from(String(value).trim().replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function parseFernetKey(fernetKey) {
+  const key = Buffer.isBuffer(fernetKey) ? fernetKey : decodeBase64Url(fernetKey);
+  if (key.length !== 32) {
+    throw new Error('FERNET_INVALID_KEY');
+  }
+  return { signingKey: key.subarray(0, 16), encryptionKey: key.subarray(16) };
+}
+
+function decryptFernet(token, fernetKey) {
+  const { signingKey, encryptionKey } = parseFernetKey(fernetKey);
+  const data = decodeBase64Url(token);
+  if (data.length < FERNET_HEADER_LENGTH + 16 + FERNET_HMAC_LENGTH || data[0] !== FERNET_VERSION) {
+    throw new Error('FERNET_INVALID_TOKEN');
+  }
+
+  const signed = data.subarray(0, data.length - FERNET_HMAC_LENGTH);
+  const hmac = data.subarray(data.length - FERNET_HMAC_LENGTH);
+  const expected = crypto.createHmac('sha256', signingKey).update(signed).digest();
+  if (!crypto.timingSafeEqual(hmac, expected)) {
+    // Either the key is wrong or the token was modified
+    throw new Error('FERNET_INVALID_TOKEN');
+  }
+
+  try {
+    const iv = data.subarray(9, FERNET_HEADER_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-128-cbc', encryptionKey, iv);
+    return Buffer.concat([decipher.update(signed.subarray(FERNET_HEADER_LENGTH)), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('FERNET_INVALID_TOKEN');
+  }
+}
+
+module.exports = {
+  KEY_LENGTH,
+  DEFAULT_KDF_PARAMS,
+  generateDataKey,
+  generateSalt,
+  hashKeyFile,
+  deriveKey,
+  wrapKey,
+  unwrapKey,
+  wrapKeyWithPassword,
+  unwrapKeyWithPassword,
+  isEnvelope,
+  encryptEnvelope,
+  decryptEnvelope,
+  encryptChunk,
+  decryptChunk,
+  generateSealingKeyPair,
+  sealEnvelope,
+  openSealedEnvelope,
+  isFernetToken,
+  parseFernetKey,
+  decryptFernet,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  hashRecoveryCode
+};
@@ -0,0 +1,618 @@
+// Data access for passwords.db
+// Every query the vault runs lives here, wrapped in promises so it works the
+// same in plain Node as in the Electron main process. Values are stored as
+// given; encryption happens in VaultService before anything reaches this layer.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const migrations = require('./migrations');
+
+function parseKeyRecord(row) {
+  return {
+    salt: row.kdf_salt,
+    params: JSON.parse(row.kdf_params),
+    wrappedKey: row.wrapped_key
+  };
+}
+
+class VaultRepository {
+  constructor(db) {
+    this.db = db;
+    // Transactions share the single connection, so they are queued one at a time
+    this.transactionQueue = Promise.resolve();
+    // Set while a transaction's work runs, so its own statements skip the queue
+    this.transactionScope = new AsyncLocalStorage();
+  }
+
+  static async open(dbPath) {
+    const repository = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(dbPath, (err) => {
+        if (err) reject(err);
+        else resolve(new VaultRepository(db));
+      });
+    });
+    // Deleted and overwritten content is zeroed on disk instead of lingering
+    // in free pages, e.g. metadata from before it was encrypted
+    await repository.run('PRAGMA secure_delete = ON');
+    return repository;
+  }
+
+  // Bring the schema up to date; see migrations.js
+  migrate(options) {
+    return migrations.migrateDatabase(this.db, options);
+  }
+
+  // Rebuild the file so nothing from freed pages survives; cannot run inside
+  // a transaction
+  vacuum() {
+    return this.run('VACUUM');
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Statements from outside a transaction wait their turn in the queue, so
+  // they can't land in the middle of someone else's BEGIN/COMMIT
+  queued(statement) {
+    if (this.transactionScope.getStore()) return statement();
+    const result = this.transactionQueue.then(statement, statement);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Promise wrapper for statements that need lastID/changes
+  run(sql, params = []) {
+    return this.queued(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }));
+  }
+
+  get(sql, params = []) {
+    return this.queued(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    }));
+  }
+
+  all(sql, params = []) {
+    return this.queued(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    }));
+  }
+
+  // Repository methods called from `work` join the transaction; calling
+  // withTransaction again from inside it would wait forever
+  withTransaction(work) {
+    return this.queued(() => this.transactionScope.run(true, async () => {
+      await this.run('BEGIN IMMEDIATE TRANSACTION');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }));
+  }
+
+  // Users
+  findUserByLogin(login) {
+    return this.get('SELECT * FROM users WHERE username = ? OR email = ?', [login, login]);
+  }
+
+  getUser(userId) {
+    return this.get('SELECT * FROM users WHERE id = ?', [userId]);
+  }
+
+  async createUser(username, email, passwordHash) {
+    const { lastID } = await this.run(
+      'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
+      [username, email, passwordHash]
+    );
+    return lastID;
+  }
+
+  deleteUser(userId) {
+    return this.run('DELETE FROM users WHERE id = ?', [userId]);
+  }
+
+  recordSuccessfulLogin(userId) {
+    return this.run('UPDATE users SET failed_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+  }
+
+  // Incremented in SQL so concurrent attempts cannot undercount; returns the new count
+  async incrementFailedAttempts(userId) {
+    await this.run('UPDATE users SET failed_attempts = COALESCE(failed_attempts, 0) + 1 WHERE id = ?', [userId]);
+    const row = await this.get('SELECT failed_attempts FROM users WHERE id = ?', [userId]);
+    return row.failed_attempts;
+  }
+
+  setLockedUntil(userId, lockedUntil) {
+    return this.run('UPDATE users SET locked_until = ? WHERE id = ?', [lockedUntil, userId]);
+  }
+
+  updatePasswordHash(userId, passwordHash) {
+    return this.run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+  }
+
+  updateSettings(userId, settings) {
+    return this.run('UPDATE users SET settings = ? WHERE id = ?', [JSON.stringify(settings), userId]);
+  }
+
+  async countUsersWithoutKey() {
+    const row = await this.get('SELECT COUNT(*) AS pending FROM users u LEFT JOIN user_keys k ON k.user_id = u.id WHERE k.user_id IS NULL');
+    return row.pending;
+  }
+
+  // Wrapped data keys
+  async getUserKey(userId) {
+    const row = await this.get('SELECT * FROM user_keys WHERE user_id = ?', [userId]);
+    return row ? { ...parseKeyRecord(row), origin: row.key_origin } : null;
+  }
+
+  saveUserKey(userId, record, origin = 'generated') {
+    return this.run(
+      `INSERT OR REPLACE INTO user_keys (user_id, kdf_salt, kdf_params, wrapped_key, key_origin, updated_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [userId, record.salt, JSON.stringify(record.params), record.wrappedKey, origin]
+    );
+  }
+
+  // Re-wrap an existing key; the origin is only changed when one is given
+  updateUserKey(userId, record, origin = null) {
+    return this.run(
+      `UPDATE user_keys SET kdf_salt = ?, kdf_params = ?, wrapped_key = ?, key_origin = COALESCE(?, key_origin), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ?`,
+      [record.salt, JSON.stringify(record.params), record.wrappedKey, origin, userId]
+    );
+  }
+
+  // Recovery codes
+  async countRecoveryCodes(userId) {
+    const row = await this.get(
+      'SELECT COUNT(*) AS total, SUM(CASE WHEN used_at IS NULL THEN 1 ELSE 0 END) AS remaining FROM recovery_codes WHERE user_id = ?',
+      [userId]
+    );
+    return { total: row.total || 0, remaining: row.remaining || 0 };
+  }
+
+  async findUnusedRecoveryCode(userId, codeHash) {
+    const row = await this.get(
+      'SELECT * FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, codeHash]
+    );
+    return row ? { id: row.id, ...parseKeyRecord(row) } : null;
+  }
+
+  insertRecoveryCode(userId, codeHash, record) {
+    return this.run(
+      `INSERT INTO recovery_codes (user_id, code_hash, kdf_salt, kdf_params, wrapped_key)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, codeHash, record.salt, JSON.stringify(record.params), record.wrappedKey]
+    );
+  }
+
+  markRecoveryCodeUsed(codeId) {
+    return this.run('UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [codeId]);
+  }
+
+  deleteRecoveryCodes(userId) {
+    return this.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  // Two-factor secrets
+  getTotp(userId) {
+    return this.get('SELECT secret, skew_window, last_used_step FROM user_totp WHERE user_id = ?', [userId]);
+  }
+
+  saveTotp(userId, secret, skewWindow, lastUsedStep) {
+    return this.run(
+      `INSERT OR REPLACE INTO user_totp (user_id, secret, skew_window, last_used_step, created_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [userId, secret, skewWindow, lastUsedStep]
+    );
+  }
+
+  updateTotpSecret(userId, secret) {
+    return this.run('UPDATE user_totp SET secret = ? WHERE user_id = ?', [secret, userId]);
+  }
+
+  setTotpLastUsedStep(userId, step) {
+    return this.run('UPDATE user_totp SET last_used_step = ? WHERE user_id = ?', [step, userId]);
+  }
+
+  async setTotpWindow(userId, skewWindow) {
+    const { changes } = await this.run('UPDATE user_totp SET skew_window = ? WHERE user_id = ?', [skewWindow, userId]);
+    return changes;
+  }
+
+  deleteTotp(userId) {
+    return this.run('DELETE FROM user_totp WHERE user_id = ?', [userId]);
+  }
+
+  // Passwords
+  // Entries in the trash are left out everywhere except the trash queries below
+  listPasswords(userId) {
+    return this.all('SELECT * FROM passwords WHERE user_id = ? AND deleted_at IS NULL ORDER BY created_at DESC', [userId]);
+  }
+
+  getPasswordSecret(passwordId, userId) {
+    return this.get('SELECT secret FROM passwords WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [passwordId, userId]);
+  }
+
+  getPasswordMetadata(passwordId, userId) {
+    return this.get('SELECT id, label, username, url FROM passwords WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [passwordId, userId]);
+  }
+
+  // Count a copy, reveal or opened URL; updated_at is left alone
+  async recordAccess(passwordId, userId) {
+    const { changes } = await this.run(
+      `UPDATE passwords SET access_count = COALESCE(access_count, 0) + 1, last_accessed = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [passwordId, userId]
+    );
+    return changes;
+  }
+
+  // Passwords not used, or added if never used, for at least `months` months
+  listUnusedPasswords(userId, months) {
+    return this.all(
+      `SELECT * FROM passwords WHERE user_id = ? AND deleted_at IS NULL
+       AND COALESCE(last_accessed, created_at) <= datetime('now', ?)
+       ORDER BY COALESCE(last_accessed, created_at)`,
+      [userId, `-${months} months`]
+    );
+  }
+
+  getCustomFields(passwordId, userId) {
+    return this.get('SELECT id, custom_fields FROM passwords WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [passwordId, userId]);
+  }
+
+  // Encrypted columns are bound to the row id, so rows are inserted with
+  // placeholders and filled in with updateColumns once the id is known
+  async insertPassword(userId, folderId, isFavorite = false, { expiresAt = null, rotationDays = null, strength = 0, crackTimeSeconds = null } = {}) {
+    const { lastID } = await this.run(
+      `INSERT INTO passwords (user_id, label, secret, folder_id, is_favorite, expires_at, rotation_days, password_strength, crack_time_seconds, created_at, updated_at)
+       VALUES (?, '', '', ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [userId, folderId, isFavorite ? 1 : 0, expiresAt, rotationDays, strength, crackTimeSeconds]
+    );
+    return lastID;
+  }
+
+  // Passwords, trashed ones included, saved before strength was estimated
+  listUnratedPasswords(userId) {
+    return this.all('SELECT id, secret, label, username, url FROM passwords WHERE user_id = ? AND crack_time_seconds IS NULL', [userId]);
+  }
+
+  getPasswordExpiry(passwordId, userId) {
+    return this.get(
+      'SELECT id, secret, expires_at, rotation_days FROM passwords WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [passwordId, userId]
+    );
+  }
+
+  // Password history: earlier secrets of an entry, newest first
+  listHistory(passwordId, userId) {
+    return this.all(
+      'SELECT id, password_id, secret, created_at FROM password_history WHERE password_id = ? AND user_id = ? ORDER BY id DESC',
+      [passwordId, userId]
+    );
+  }
+
+  getHistoryEntry(historyId, userId) {
+    return this.get('SELECT id, password_id, secret, created_at FROM password_history WHERE id = ? AND user_id = ?', [historyId, userId]);
+  }
+
+  // Inserted with a placeholder like passwords; see insertPassword
+  async insertHistory(passwordId, userId) {
+    const { lastID } = await this.run(
+      "INSERT INTO password_history (password_id, user_id, secret) VALUES (?, ?, '')",
+      [passwordId, userId]
+    );
+    return lastID;
+  }
+
+  // Keep only the newest `limit` versions of each of the user's entries
+  pruneHistory(userId, limit) {
+    return this.run(
+      `DELETE FROM password_history WHERE id IN (
+         SELECT id FROM (
+           SELECT id, ROW_NUMBER() OVER (PARTITION BY password_id ORDER BY id DESC) AS position
+           FROM password_history WHERE user_id = ?
+         ) WHERE position > ?
+       )`,
+      [userId, limit]
+    );
+  }
+
+  // Secure notes
+  listNotes(userId) {
+    return this.all('SELECT * FROM secure_notes WHERE user_id = ? AND deleted_at IS NULL ORDER BY updated_at DESC', [userId]);
+  }
+
+  getNote(noteId, userId) {
+    return this.get('SELECT * FROM secure_notes WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [noteId, userId]);
+  }
+
+  async insertNote(userId, folderId, isFavorite) {
+    const { lastID } = await this.run(
+      `INSERT INTO secure_notes (user_id, title, content, folder_id, is_favorite, created_at, updated_at)
+       VALUES (?, '', '', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [userId, folderId, isFavorite ? 1 : 0]
+    );
+    return lastID;
+  }
+
+  // Structured items (cards, identities, ...); item_type stays in plaintext
+  // like folder_id
+  listItems(userId) {
+    return this.all('SELECT * FROM items WHERE user_id = ? AND deleted_at IS NULL ORDER BY updated_at DESC', [userId]);
+  }
+
+  getItem(itemId, userId) {
+    return this.get('SELECT * FROM items WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [itemId, userId]);
+  }
+
+  async insertItem(userId, itemType, folderId, isFavorite) {
+    const { lastID } = await this.run(
+      `INSERT INTO items (user_id, item_type, title, data, folder_id, is_favorite, created_at, updated_at)
+       VALUES (?, ?, '', '', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [userId, itemType, folderId, isFavorite ? 1 : 0]
+    );
+    return lastID;
+  }
+
+  // Folders: a tree per user through parent_id (NULL at the top). Entries
+  // point at their folder with folder_id, NULL for no folder.
+  listFolders(userId) {
+    return this.all('SELECT id, parent_id, name, created_at FROM folders WHERE user_id = ? ORDER BY id', [userId]);
+  }
+
+  // Inserted with a placeholder name like passwords; see insertPassword
+  async insertFolder(userId, parentId) {
+    const { lastID } = await this.run("INSERT INTO folders (user_id, parent_id, name) VALUES (?, ?, '')", [userId, parentId]);
+    return lastID;
+  }
+
+  // Subfolders and entries, trashed ones included, move up to parentId.
+  // Run inside a transaction.
+  async deleteFolder(folderId, userId, parentId) {
+    await this.run('UPDATE folders SET parent_id = ? WHERE parent_id = ? AND user_id = ?', [parentId, folderId, userId]);
+    for (const table of ['passwords', 'secure_notes', 'items']) {
+      await this.run(`UPDATE ${table} SET folder_id = ? WHERE folder_id = ? AND user_id = ?`, [parentId, folderId, userId]);
+    }
+    const { changes } = await this.run('DELETE FROM folders WHERE id = ? AND user_id = ?', [folderId, userId]);
+    return changes;
+  }
+
+  async setEntryFolder(table, rowId, userId, folderId) {
+    const { changes } = await this.run(
+      `UPDATE ${table} SET folder_id = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [folderId, rowId, userId]
+    );
+    return changes;
+  }
+
+  // Favorites: is_favorite on active passwords, notes and items
+  async setEntryFavorite(table, rowId, userId, favorite) {
+    const { changes } = await this.run(
+      `UPDATE ${table} SET is_favorite = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [favorite ? 1 : 0, rowId, userId]
+    );
+    return changes;
+  }
+
+  getEntryFavorite(table, rowId, userId) {
+    return this.get(`SELECT is_favorite FROM ${table} WHERE id = ? AND user_id = ? AND deleted_at IS NULL`, [rowId, userId]);
+  }
+
+  countFolderEntries(table, userId) {
+    return this.all(
+      `SELECT folder_id, COUNT(*) AS count FROM ${table} WHERE user_id = ? AND deleted_at IS NULL GROUP BY folder_id`,
+      [userId]
+    );
+  }
+
+  // Rows still carrying a category from before folders; 'General' was the
+  // default and means no folder
+  listLegacyCategories(table, userId) {
+    return this.all(
+      `SELECT id, category FROM ${table}
+       WHERE user_id = ? AND folder_id IS NULL AND category IS NOT NULL AND category NOT IN ('', 'General')`,
+      [userId]
+    );
+  }
+
+  clearLegacyCategory(table, rowId, userId, folderId) {
+    return this.run(`UPDATE ${table} SET folder_id = ?, category = NULL WHERE id = ? AND user_id = ?`, [folderId, rowId, userId]);
+  }
+
+  // Trash: deleted passwords, notes and items keep their rows with a deleted_at
+  // timestamp until they are restored or purged. Table names come from the
+  // service, never from the renderer.
+  listTrash(table, userId) {
+    return this.all(`SELECT * FROM ${table} WHERE user_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`, [userId]);
+  }
+
+  async moveToTrash(table, rowId, userId) {
+    const { changes } = await this.run(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [rowId, userId]
+    );
+    return changes;
+  }
+
+  async restoreFromTrash(table, rowId, userId) {
+    const { changes } = await this.run(
+      `UPDATE ${table} SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL`,
+      [rowId, userId]
+    );
+    return changes;
+  }
+
+  // Permanently delete trashed rows deleted at least `days` days ago (0 for
+  // all of them), along with the history of purged passwords. Run inside a
+  // transaction; returns the number of passwords, notes and items removed.
+  async purgeTrash(userId, days) {
+    const cutoff = [userId, `-${days} days`];
+    const expired = "user_id = ? AND deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)";
+    await this.run(`DELETE FROM password_history WHERE password_id IN (SELECT id FROM passwords WHERE ${expired})`, cutoff);
+    for (const table of ['passwords', 'secure_notes', 'items']) {
+      const owned = `owner_table = '${table}' AND owner_id IN (SELECT id FROM ${table} WHERE ${expired})`;
+      await this.run(`DELETE FROM attachment_chunks WHERE attachment_id IN (SELECT id FROM attachments WHERE ${owned})`, cutoff);
+      await this.run(`DELETE FROM attachments WHERE ${owned}`, cutoff);
+    }
+    const passwords = await this.run(`DELETE FROM passwords WHERE ${expired}`, cutoff);
+    const notes = await this.run(`DELETE FROM secure_notes WHERE ${expired}`, cutoff);
+    const items = await this.run(`DELETE FROM items WHERE ${expired}`, cutoff);
+    return { passwords: passwords.changes, notes: notes.changes, items: items.changes };
+  }
+
+  // Audit log: append-only, so there is no update or delete here
+  getAuditKey(userId) {
+    return this.get('SELECT public_key, private_key FROM audit_keys WHERE user_id = ?', [userId]);
+  }
+
+  saveAuditKey(userId, publicKey, privateKey) {
+    return this.run('INSERT INTO audit_keys (user_id, public_key, private_key) VALUES (?, ?, ?)', [userId, publicKey, privateKey]);
+  }
+
+  updateAuditPrivateKey(userId, privateKey) {
+    return this.run('UPDATE audit_keys SET private_key = ? WHERE user_id = ?', [privateKey, userId]);
+  }
+
+  async getLastAuditHash(userId) {
+    const row = await this.get('SELECT hash FROM audit_log WHERE user_id = ? ORDER BY id DESC LIMIT 1', [userId]);
+    return row ? row.hash : null;
+  }
+
+  insertAuditEvent(userId, { payload, prevHash, hash, createdAt }) {
+    return this.run(
+      'INSERT INTO audit_log (user_id, payload, prev_hash, hash, created_at) VALUES (?, ?, ?, ?, ?)',
+      [userId, payload, prevHash, hash, createdAt]
+    );
+  }
+
+  // Oldest first, the order the hash chain is verified in
+  listAuditEvents(userId) {
+    return this.all('SELECT * FROM audit_log WHERE user_id = ? ORDER BY id ASC', [userId]);
+  }
+
+  // Attachments: metadata in attachments, encrypted content split across
+  // attachment_chunks. Owners are passwords, secure_notes or items rows.
+  async isActiveEntry(table, rowId, userId) {
+    const row = await this.get(`SELECT id FROM ${table} WHERE id = ? AND user_id = ? AND deleted_at IS NULL`, [rowId, userId]);
+    return Boolean(row);
+  }
+
+  listAttachments(table, ownerId, userId) {
+    return this.all(
+      `SELECT id, owner_table, owner_id, file_name, file_type, file_size, chunk_count, created_at FROM attachments
+       WHERE owner_table = ? AND owner_id = ? AND user_id = ? ORDER BY id`,
+      [table, ownerId, userId]
+    );
+  }
+
+  // Attachments of every entry that is not in the trash
+  listActiveAttachments(userId) {
+    return this.all(
+      `SELECT a.id, a.owner_table, a.owner_id, a.file_name, a.file_type, a.file_size, a.chunk_count, a.created_at FROM attachments a
+       WHERE a.user_id = ? AND (
+         (a.owner_table = 'passwords' AND a.owner_id IN (SELECT id FROM passwords WHERE user_id = a.user_id AND deleted_at IS NULL)) OR
+         (a.owner_table = 'secure_notes' AND a.owner_id IN (SELECT id FROM secure_notes WHERE user_id = a.user_id AND deleted_at IS NULL)) OR
+         (a.owner_table = 'items' AND a.owner_id IN (SELECT id FROM items WHERE user_id = a.user_id AND deleted_at IS NULL))
+       ) ORDER BY a.id`,
+      [userId]
+    );
+  }
+
+  getAttachment(attachmentId, userId) {
+    return this.get('SELECT * FROM attachments WHERE id = ? AND user_id = ?', [attachmentId, userId]);
+  }
+
+  // Inserted with placeholder metadata like passwords; see insertPassword
+  async insertAttachment(userId, table, ownerId, fileSize, chunkCount) {
+    const { lastID } = await this.run(
+      `INSERT INTO attachments (user_id, owner_table, owner_id, file_name, file_type, file_size, chunk_count)
+       VALUES (?, ?, ?, '', '', ?, ?)`,
+      [userId, table, ownerId, fileSize, chunkCount]
+    );
+    return lastID;
+  }
+
+  insertAttachmentChunk(attachmentId, userId, chunkIndex, data) {
+    return this.run(
+      'INSERT INTO attachment_chunks (attachment_id, chunk_index, user_id, data) VALUES (?, ?, ?, ?)',
+      [attachmentId, chunkIndex, userId, data]
+    );
+  }
+
+  async getAttachmentChunk(attachmentId, chunkIndex, userId) {
+    const row = await this.get(
+      'SELECT data FROM attachment_chunks WHERE attachment_id = ? AND chunk_index = ? AND user_id = ?',
+      [attachmentId, chunkIndex, userId]
+    );
+    return row ? row.data : null;
+  }
+
+  updateAttachmentChunk(attachmentId, chunkIndex, userId, data) {
+    return this.run(
+      'UPDATE attachment_chunks SET data = ? WHERE attachment_id = ? AND chunk_index = ? AND user_id = ?',
+      [data, attachmentId, chunkIndex, userId]
+    );
+  }
+
+  // Run inside a transaction with the chunks
+  async deleteAttachment(attachmentId, userId) {
+    await this.run('DELETE FROM attachment_chunks WHERE attachment_id = ? AND user_id = ?', [attachmentId, userId]);
+    const { changes } = await this.run('DELETE FROM attachments WHERE id = ? AND user_id = ?', [attachmentId, userId]);
+    return changes;
+  }
+
+  // Keep the owner's is_file flag in step with its attachments
+  refreshAttachmentFlag(table, ownerId, userId) {
+    return this.run(
+      `UPDATE ${table} SET is_file = EXISTS (SELECT 1 FROM attachments WHERE owner_table = ? AND owner_id = ${table}.id)
+       WHERE id = ? AND user_id = ?`,
+      [table, ownerId, userId]
+    );
+  }
+
+  // Column-level access to a user's rows, used for encrypted fields, edits
+  // and re-keying. Table and column names come from the service, never from
+  // the renderer.
+  listColumns(table, columns, userId) {
+    return this.all(`SELECT id, ${columns.join(', ')} FROM ${table} WHERE user_id = ?`, [userId]);
+  }
+
+  // Returns the number of rows changed; `touch` also bumps updated_at
+  async updateColumns(table, rowId, userId, values, { touch = false } = {}) {
+    const columns = Object.keys(values);
+    const assignments = columns.map(column => `${column} = ?`);
+    if (touch) assignments.push('updated_at = CURRENT_TIMESTAMP');
+    const { changes } = await this.run(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...columns.map(column => values[column]), rowId, userId]
+    );
+    return changes;
+  }
+}
+
+module.exports = {
+  VaultRepository
+};
@@ -0,0 +1,3424 @@
+// Vault business logic: accounts, sessions, passwords, secure notes and backups
+// Runs in plain Node on top of VaultRepository. main.js adapts IPC calls to
+// these methods and keeps dialogs, the clipboard and windows to itself.
+// Methods resolve to { success, error } results ready for the renderer.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const vaultCrypto = require('./vault-crypto');
+const totp = require('./totp');
+const { SearchIndex } = require('./search-index');
+const { normalizeCustomFields, parseCustomFields, customFieldClipboardValue } = require('./custom-fields');
+const { ITEM_TYPES, normalizeItemData, parseItemData, itemSummary } = require('./item-types');
+const { buildBitwardenExport } = require('./bitwarden-export');
+const { DEFAULT_SNOOZE_DAYS, addDays, normalizeExpiryDate, normalizeRotationDays, expiryStatus } = require('./expiry');
+const { estimateStrength, crackTimeDisplay } = require('./password-strength');
+
+// Login lockout: after MAX_FAILED_ATTEMPTS failures the account is locked for
+// LOCKOUT_BASE_MS, doubling with every further failure up to LOCKOUT_MAX_MS
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Recovery codes: each one wraps the user's data key on its own, so any
+// unused code can unlock the vault when the master password is forgotten
+const RECOVERY_CODE_COUNT = 10;
+
+// Two-factor login (TOTP)
+const PENDING_LOGIN_TTL_MS = 2 * 60 * 1000;
+const MAX_TOTP_WINDOW = 3;
+
+// Auto-lock
+const DEFAULT_LOCK_SETTINGS = {
+  idleTimeoutMinutes: 5, // 0 disables the idle timer
+  lockOnMinimize: false,
+  lockOnSuspend: true
+};
+
+// Password history: previous secrets kept per entry; 0 turns history off
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 100;
+
+// Trash: deleted entries are purged after retentionDays; 0 keeps them until
+// the trash is emptied
+const DEFAULT_TRASH_SETTINGS = { retentionDays: 30 };
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+// Entry types as the renderer names them, and their tables
+const ENTRY_TABLES = { password: 'passwords', note: 'secure_notes', item: 'items' };
+
+// Folders nest without a depth limit; names are unique among siblings
+const MAX_FOLDER_NAME_LENGTH = 100;
+const FOLDER_PATH_SEPARATOR = ' / ';
+
+// File attachments are encrypted in chunks of ATTACHMENT_CHUNK_SIZE bytes
+const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_ENTRY = 20;
+
+// Audit log: events record what happened to which entry, never a secret.
+// Every event's hash covers the one before it, starting from AUDIT_GENESIS_HASH.
+const AUDIT_EVENTS = [
+  'login_success', 'login_failure', 'logout', 'recover_account',
+  'copy_password', 'reveal_password',
+  'add_password', 'update_password', 'delete_password', 'restore_password',
+  'snooze_expiry', 'rotate_password', 'open_url',
+  'add_note', 'update_note', 'delete_note', 'restore_note', 'empty_trash',
+  'add_item', 'update_item', 'delete_item', 'restore_item', 'copy_item_field', 'reveal_item_field',
+  'add_attachment', 'open_attachment', 'delete_attachment',
+  'import', 'export', 'backup'
+];
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Methods that encrypt with the session key; they are held back while
+// changeMasterPassword swaps the key, see keyedWrite. None of them may call
+// another one, or it would wait on itself.
+const KEYED_WRITES = [
+  'getPasswords', 'addPassword', 'updatePassword', 'restorePasswordVersion', 'migrateFernetEntries', 'importPasswords',
+  'addAttachment', 'getSecureNotes', 'addSecureNote', 'updateSecureNote', 'createFolder', 'renameFolder',
+  'bulkUpdatePasswords', 'undoBulkUpdate', 'addItem', 'updateItem', 'confirmTotpEnrollment', 'generateRecoveryCodes'
+];
+
+// Metadata is encrypted as well as the secret itself. Folder names are
+// encrypted too; which folder an entry is in (folder_id) is not, nor is a
+// password's estimated strength (password_strength, crack_time_seconds).
+const SECRET_COLUMNS = {
+  passwords: 'secret',
+  secure_notes: 'content',
+  password_history: 'secret',
+  items: 'data'
+};
+const ENCRYPTED_FIELDS = {
+  passwords: ['label', 'username', 'url', 'notes', 'tags', 'custom_fields'],
+  secure_notes: ['title', 'tags'],
+  password_history: [],
+  attachments: ['file_name', 'file_type'],
+  items: ['title', 'tags'],
+  folders: ['name']
+};
+
+// Full path of every folder by id, e.g. "Work / Clients"
+function folderPaths(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+  const pathOf = (folder, seen = new Set()) => {
+    if (paths.has(folder.id)) return paths.get(folder.id);
+    const parent = byId.get(folder.parent_id);
+    // A parent cycle would only come from a tampered database
+    const path = parent && !seen.has(parent.id)
+      ? pathOf(parent, seen.add(folder.id)) + FOLDER_PATH_SEPARATOR + folder.name
+      : folder.name;
+    paths.set(folder.id, path);
+    return path;
+  };
+  folders.forEach(folder => pathOf(folder));
+  return paths;
+}
+
+// Ids of a folder and everything nested in it
+function folderSubtree(folders, folderId) {
+  const ids = new Set([Number(folderId)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const folder of folders) {
+      if (ids.has(folder.parent_id) && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Comma-separated tags as a list, without blanks
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+// Entries show their folder's path; the legacy category column is dropped
+function withFolderPath(row, paths) {
+  const { category, ...entry } = row;
+  return { ...entry, folder: paths.get(row.folder_id) || '' };
+}
+
+// Expiry columns to write for an entry. An explicit expires_at wins;
+// otherwise an entry with a rotation interval expires that many days after
+// it is added, its password changes or its interval changes.
+function expiryValues(passwordData, current = null, secretChanged = true) {
+  const values = {};
+  const rotationDays = normalizeRotationDays(passwordData.rotation_days);
+  const expiresAt = normalizeExpiryDate(passwordData.expires_at);
+  if (rotationDays !== undefined) values.rotation_days = rotationDays;
+  if (expiresAt !== undefined) {
+    values.expires_at = expiresAt;
+    return values;
+  }
+
+  const interval = rotationDays !== undefined ? rotationDays : current && current.rotation_days;
+  const intervalChanged = rotationDays !== undefined && (!current || rotationDays !== current.rotation_days);
+  if (interval && (secretChanged || intervalChanged || !current.expires_at)) {
+    values.expires_at = addDays(interval);
+  }
+  return values;
+}
+
+// Strength columns for a secret. The entry's own label, username and URL
+// are among the first things an attacker would try.
+function strengthValues(secret, { label, username, url } = {}) {
+  const { score, crackTimeSeconds } = estimateStrength(secret, [label, username, url]);
+  return { password_strength: score, crack_time_seconds: crackTimeSeconds };
+}
+
+function validateFolderName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Folder name is required';
+  if (trimmed.length > MAX_FOLDER_NAME_LENGTH) return `Folder names are limited to ${MAX_FOLDER_NAME_LENGTH} characters`;
+  if (trimmed.includes('/')) return 'Folder names cannot contain "/"';
+  return null;
+}
+
+function lockoutDuration(failedAttempts) {
+  if (failedAttempts < MAX_FAILED_ATTEMPTS) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (failedAttempts - MAX_FAILED_ATTEMPTS), LOCKOUT_MAX_MS);
+}
+
+function lockoutFailure(lockedUntil) {
+  return {
+    success: false,
+    error: 'Account temporarily locked after too many failed attempts',
+    lockedUntil,
+    retryAfterSeconds: Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000))
+  };
+}
+
+function isLockedOut(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until).getTime() > Date.now());
+}
+
+// The user fields the renderer is allowed to see
+function publicUser(user) {
+  return { id: user.id, username: user.username, email: user.email };
+}
+
+// Per-user preferences live in the users.settings JSON column
+function parseUserSettings(user) {
+  try {
+    return JSON.parse(user.settings || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function getLockSettings(user) {
+  return { ...DEFAULT_LOCK_SETTINGS, ...(parseUserSettings(user).autoLock || {}) };
+}
+
+function getHistorySettings(user) {
+  return { limit: DEFAULT_HISTORY_LIMIT, ...(parseUserSettings(user).passwordHistory || {}) };
+}
+
+function getTrashSettings(user) {
+  return { ...DEFAULT_TRASH_SETTINGS, ...(parseUserSettings(user).trash || {}) };
+}
+
+// Key files arrive from the renderer as raw bytes; only their hash is used,
+// and only for the call that needs it
+function hashKeyFile(keyFile) {
+  return keyFile ? vaultCrypto.hashKeyFile(Buffer.from(keyFile)) : null;
+}
+
+function requiresKeyFile(record) {
+  return Boolean(record && record.params.keyFile);
+}
+
+// Encryption functions
+// Associated data tying a ciphertext to the row and user that own it
+function rowContext(table, rowId, userId) {
+  return `${table}:${rowId}:${userId}`;
+}
+
+// Backups are not rows, so they are bound to the owning user instead
+function backupContext(userId) {
+  return `backup:${userId}`;
+}
+
+function totpContext(userId) {
+  return rowContext('user_totp', userId, userId);
+}
+
+// The last chunk is marked so a truncated attachment fails to decrypt
+function chunkContext(attachmentId, chunkIndex, isLast, userId) {
+  return `attachment_chunks:${attachmentId}:${chunkIndex}${isLast ? ':last' : ''}:${userId}`;
+}
+
+function auditKeyContext(userId) {
+  return rowContext('audit_keys', userId, userId);
+}
+
+function auditContext(userId) {
+  return `audit:${userId}`;
+}
+
+function auditHash(prevHash, userId, createdAt, payload) {
+  return crypto.createHash('sha256').update([prevHash, userId, createdAt, payload].join('|')).digest('hex');
+}
+
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Metadata is bound to its column as well as its row, so values cannot be
+// swapped between fields. Secrets keep the row context they always had.
+function columnContext(table, column, rowId, userId) {
+  if (column === SECRET_COLUMNS[table]) {
+    return rowContext(table, rowId, userId);
+  }
+  return `${table}.${column}:${rowId}:${userId}`;
+}
+
+// New values are always written as a v2 AES-256-GCM envelope
+function encrypt(text, context, key) {
+  if (text === null || text === undefined) {
+    throw new Error('Cannot encrypt null or undefined value');
+  }
+  if (!key) {
+    throw new Error('VAULT_LOCKED');
+  }
+
+  return vaultCrypto.encryptEnvelope(String(text), key, context);
+}
+
+// Throws TAMPERED_CIPHERTEXT when a v2 envelope fails its integrity check
+function decrypt(encryptedText, context, key) {
+  if (!encryptedText) {
+    throw new Error('Cannot decrypt empty or null value');
+  }
+  if (!key) {
+    throw new Error('VAULT_LOCKED');
+  }
+
+  const textString = String(encryptedText);
+
+  if (vaultCrypto.isEnvelope(textString)) {
+    return vaultCrypto.decryptEnvelope(textString, key, context);
+  }
+
+  // Check for Fernet encryption (from original Flask app)
+  if (textString.startsWith('gAAAAAB')) {
+    throw new Error('FERNET_ENCRYPTED_PASSWORD');
+  }
+
+  // Legacy AES-256-CBC format (iv:ciphertext), read-only
+  if (textString.includes(':')) {
+    try {
+      const parts = textString.split(':');
+      if (parts.length >= 2) {
+        const ivHex = parts[0];
+        const encryptedHex = parts.slice(1).join(':');
+
+        // Validate IV length (should be 32 hex chars for 16 bytes)
+        if (ivHex.length === 32) {
+          const iv = Buffer.from(ivHex, 'hex');
+          const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+          let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+          decrypted += decipher.final('utf8');
+          return decrypted;
+        }
+      }
+    } catch (error) {
+      console.log('Legacy CBC decryption failed');
+    }
+  }
+
+  // Fall back to old format - but this won't work in Node.js 22+
+  throw new Error('UNSUPPORTED_ENCRYPTION_FORMAT');
+}
+
+// Anything not yet in the v2 envelope is upgraded the next time it is read
+function needsEnvelopeMigration(encryptedText) {
+  return !vaultCrypto.isEnvelope(String(encryptedText));
+}
+
+function encryptColumns(table, rowId, userId, values, key) {
+  const encrypted = {};
+  for (const [column, value] of Object.entries(values)) {
+    // Custom fields are stored as a JSON document
+    const plaintext = Array.isArray(value) ? JSON.stringify(value) : value || '';
+    encrypted[column] = encrypt(plaintext, columnContext(table, column, rowId, userId), key);
+  }
+  return encrypted;
+}
+
+function encryptFields(table, rowId, userId, fields, key) {
+  const values = {};
+  for (const column of ENCRYPTED_FIELDS[table]) {
+    values[column] = fields[column];
+  }
+  return encryptColumns(table, rowId, userId, values, key);
+}
+
+// Decrypt a row's metadata. Values from before metadata encryption are
+// returned as stored until migrateMetadata reaches them; a value failing its
+// integrity check is replaced and the row flagged as tampered.
+function decryptFields(table, row, userId, key) {
+  const fields = {};
+  for (const column of ENCRYPTED_FIELDS[table]) {
+    const value = String(row[column] || '');
+    if (!vaultCrypto.isEnvelope(value)) {
+      fields[column] = value;
+      continue;
+    }
+
+    try {
+      fields[column] = decrypt(value, columnContext(table, column, row.id, userId), key);
+    } catch (error) {
+      console.error(`Error decrypting ${table}.${column} of row ${row.id}:`, error.message);
+      fields[column] = '[TAMPERED]';
+      fields.tampered = true;
+    }
+  }
+  if (table === 'passwords') {
+    fields.custom_fields = parseCustomFields(fields.custom_fields);
+  }
+  return fields;
+}
+
+class VaultService extends EventEmitter {
+  // kdfParams is a function returning the scrypt parameters for newly wrapped
+  // keys; legacyKeyPath points at the .secret.key of pre-per-user-key vaults
+  constructor(repository, { kdfParams = () => vaultCrypto.DEFAULT_KDF_PARAMS, legacyKeyPath = null } = {}) {
+    super();
+    this.repository = repository;
+    this.kdfParams = kdfParams;
+    this.legacyKeyPath = legacyKeyPath;
+
+    this.currentUser = null;
+    // Data key of the logged-in user; only set after a successful login
+    this.encryptionKey = null;
+    // User whose vault was auto-locked; kept so the dashboard can unlock in place
+    this.lockedUser = null;
+    this.lockSettings = null;
+    this.idleTimer = null;
+    // Password-verified login waiting for its TOTP code, and an unconfirmed TOTP enrollment
+    this.pendingLogin = null;
+    this.pendingTotpEnrollment = null;
+    // Decrypted metadata of the unlocked vault, and the unlock work that fills it
+    this.searchIndex = null;
+    this.vaultReady = null;
+    // State before the last bulk update, for undo; see bulkUpdatePasswords
+    this.bulkUndo = null;
+    // Running master password change, and the keyed writes it waits for
+    this.rekeying = null;
+    this.keyedWrites = new Set();
+
+    for (const name of KEYED_WRITES) {
+      const method = this[name];
+      this[name] = (...args) => this.keyedWrite(() => method.apply(this, args));
+    }
+  }
+
+  // Run a write that encrypts with the session key, first waiting for any
+  // master password change to finish so it uses the new key
+  async keyedWrite(work) {
+    while (this.rekeying) {
+      await this.rekeying.catch(() => {});
+    }
+    const write = work();
+    this.keyedWrites.add(write);
+    try {
+      return await write;
+    } finally {
+      this.keyedWrites.delete(write);
+    }
+  }
+
+  // Run `work` once the keyed writes already started have finished, holding
+  // new ones back until it is done
+  async exclusiveRekey(work) {
+    while (this.rekeying) {
+      await this.rekeying.catch(() => {});
+    }
+    const rekey = Promise.allSettled([...this.keyedWrites]).then(work);
+    this.rekeying = rekey;
+    try {
+      return await rekey;
+    } finally {
+      if (this.rekeying === rekey) this.rekeying = null;
+    }
+  }
+
+  // Wipe the session and close the database once running writes are done
+  async close() {
+    this.clearSession();
+    await Promise.allSettled([...this.keyedWrites]);
+    await this.repository.close();
+  }
+
+  // Legacy key handling
+  // Older vaults kept one random key in .secret.key next to the database. It is
+  // only read now to re-wrap it for existing users the first time they log in.
+  loadLegacyKey() {
+    let key;
+
+    if (process.env.ENCRYPTION_KEY) {
+      key = Buffer.from(process.env.ENCRYPTION_KEY);
+    } else if (this.legacyKeyPath && fs.existsSync(this.legacyKeyPath)) {
+      key = fs.readFileSync(this.legacyKeyPath);
+    } else {
+      return null;
+    }
+
+    // Ensure key is exactly 32 bytes for AES-256
+    if (key.length !== 32) {
+      if (key.length > 32) {
+        key = key.slice(0, 32);
+      } else {
+        const newKey = Buffer.alloc(32);
+        key.copy(newKey);
+        key = newKey;
+      }
+    }
+
+    return key;
+  }
+
+  // Remove .secret.key once every user has a password-wrapped copy of it
+  async retireLegacyKeyIfMigrated() {
+    if (!this.legacyKeyPath) return false;
+
+    try {
+      if (await this.repository.countUsersWithoutKey() > 0 || !fs.existsSync(this.legacyKeyPath)) {
+        return false;
+      }
+      fs.unlinkSync(this.legacyKeyPath);
+      console.log('[INFO] All users migrated, removed legacy key file');
+      return true;
+    } catch (error) {
+      console.error('Failed to remove legacy key file:', error);
+      return false;
+    }
+  }
+
+  // Per-user key storage
+  async saveUserKey(userId, dataKey, password, origin = 'generated') {
+    const record = await vaultCrypto.wrapKeyWithPassword(dataKey, password, this.kdfParams());
+    await this.repository.saveUserKey(userId, record, origin);
+  }
+
+  // Encrypted values are bound to their row id, so the row is inserted with
+  // placeholders and the ciphertexts filled in within the same transaction.
+  // `values` maps each encrypted column to its plaintext.
+  insertEncryptedRow(table, insert, values, userId) {
+    return this.repository.withTransaction(async () => {
+      const id = await insert();
+      await this.repository.updateColumns(table, id, userId, encryptColumns(table, id, userId, values, this.encryptionKey));
+      return id;
+    });
+  }
+
+  // Unwrap the user's data key, migrating users that still rely on .secret.key
+  async unlockUserKey(user, password, keyFileHash = null) {
+    const record = await this.repository.getUserKey(user.id);
+    if (record) {
+      const dataKey = await vaultCrypto.unwrapKeyWithPassword(record, password, keyFileHash);
+      if (record.origin !== 'legacy') {
+        return dataKey;
+      }
+
+      try {
+        return await this.rekeyUserVault(user, password, dataKey, { keyFileHash });
+      } catch (error) {
+        // Keep working with the shared key; the re-key is retried on next login
+        console.error('Failed to re-key vault for user', user.id, error);
+        return dataKey;
+      }
+    }
+
+    let dataKey = this.loadLegacyKey();
+    let origin = 'legacy';
+    if (!dataKey) {
+      console.warn('[WARN] No legacy key available for user', user.id, '- generating a new data key');
+      dataKey = vaultCrypto.generateDataKey();
+      origin = 'generated';
+    }
+
+    await this.saveUserKey(user.id, dataKey, password, origin);
+    console.log('[INFO] Wrapped existing encryption key for user', user.id);
+    await this.retireLegacyKeyIfMigrated();
+
+    if (origin !== 'legacy') {
+      return dataKey;
+    }
+
+    try {
+      return await this.rekeyUserVault(user, password, dataKey);
+    } catch (error) {
+      console.error('Failed to re-key vault for user', user.id, error);
+      return dataKey;
+    }
+  }
+
+  // Users migrated from .secret.key still share that key with each other. Give
+  // them a key of their own by re-encrypting their rows; runs once per user.
+  // Also used by changeMasterPassword, which passes the password hash update
+  // in `inTransaction` so the whole rotation commits or rolls back together.
+  async rekeyUserVault(user, password, oldKey, { inTransaction, onProgress, keyFileHash = null } = {}) {
+    const repository = this.repository;
+    const newKey = vaultCrypto.generateDataKey();
+    const record = await vaultCrypto.wrapKeyWithPassword(newKey, password, this.kdfParams(), keyFileHash);
+
+    // A value the old key cannot read would be lost with it, so it fails the
+    // whole re-key. Fernet tokens are the exception: they are sealed with the
+    // old Flask key, not the data key, and stay as they are.
+    const reencrypt = (table, column, row) => {
+      const value = String(row[column] || '');
+      const context = columnContext(table, column, row.id, user.id);
+      if (vaultCrypto.isFernetToken(value)) {
+        return null;
+      }
+      try {
+        // Metadata not yet encrypted is encrypted directly under the new key
+        const plaintext = column === SECRET_COLUMNS[table] || vaultCrypto.isEnvelope(value)
+          ? decrypt(value, context, oldKey)
+          : value;
+        return encrypt(plaintext, context, newKey);
+      } catch (error) {
+        throw new Error(`Could not re-key ${table}.${column} of entry ${row.id}: ${error.message}`);
+      }
+    };
+
+    let rowCount = 0;
+    try {
+      // Statements from outside the transaction wait for it (see
+      // VaultRepository.queued); changeMasterPassword also holds back writes
+      // still encrypting with the old key
+      await repository.withTransaction(async () => {
+        const tables = {};
+        const columnsOf = table => [SECRET_COLUMNS[table], ...ENCRYPTED_FIELDS[table]].filter(Boolean);
+        for (const table of Object.keys(ENCRYPTED_FIELDS)) {
+          tables[table] = await repository.listColumns(table, columnsOf(table), user.id);
+        }
+        const total = Object.values(tables).reduce((sum, rows) => sum + rows.length, 0);
+        let done = 0;
+
+        for (const [table, rows] of Object.entries(tables)) {
+          const columns = columnsOf(table);
+          for (const row of rows) {
+            const updates = {};
+            for (const column of columns) {
+              const value = reencrypt(table, column, row);
+              if (value !== null) updates[column] = value;
+            }
+            if (Object.keys(updates).length > 0) {
+              await repository.updateColumns(table, row.id, user.id, updates);
+              rowCount++;
+            }
+            if (onProgress) onProgress(++done, total);
+          }
+        }
+
+        // Attachment content is binary, one chunk at a time
+        const attachments = await repository.listColumns('attachments', ['chunk_count'], user.id);
+        for (const attachment of attachments) {
+          for (let index = 0; index < attachment.chunk_count; index++) {
+            const context = chunkContext(attachment.id, index, index === attachment.chunk_count - 1, user.id);
+            const chunk = await repository.getAttachmentChunk(attachment.id, index, user.id);
+            let plaintext;
+            try {
+              plaintext = vaultCrypto.decryptChunk(chunk, oldKey, context);
+            } catch (error) {
+              throw new Error(`Could not re-key chunk ${index} of attachment ${attachment.id}: ${error.message}`);
+            }
+            await repository.updateAttachmentChunk(attachment.id, index, user.id, vaultCrypto.encryptChunk(plaintext, newKey, context));
+          }
+        }
+
+        // Recovery codes wrap the old key; callers issue new ones if needed
+        await repository.deleteRecoveryCodes(user.id);
+
+        // An unreadable TOTP secret aborts the re-key like any other value
+        const totpRecord = await repository.getTotp(user.id);
+        if (totpRecord) {
+          const context = totpContext(user.id);
+          await repository.updateTotpSecret(user.id, encrypt(decrypt(totpRecord.secret, context, oldKey), context, newKey));
+        }
+
+        // Audit events are sealed to a key pair, so only its private key moves
+        // to the new data key
+        const auditKey = await repository.getAuditKey(user.id);
+        if (auditKey) {
+          const context = auditKeyContext(user.id);
+          await repository.updateAuditPrivateKey(user.id, encrypt(decrypt(auditKey.private_key, context, oldKey), context, newKey));
+        }
+
+        await repository.updateUserKey(user.id, record, 'generated');
+        if (inTransaction) {
+          await inTransaction();
+        }
+      });
+    } catch (error) {
+      newKey.fill(0);
+      throw error;
+    }
+
+    console.log('[INFO] Re-keyed vault for user', user.id, `(${rowCount} rows)`);
+    return newKey;
+  }
+
+  // Forget the logged-in user and wipe their key from memory
+  clearSession() {
+    this.clearPendingLogin();
+    this.pendingTotpEnrollment = null;
+    this.currentUser = null;
+    this.lockedUser = null;
+    if (this.searchIndex) {
+      this.searchIndex.clear();
+      this.searchIndex = null;
+    }
+    this.vaultReady = null;
+    this.bulkUndo = null;
+    if (this.encryptionKey) {
+      this.encryptionKey.fill(0);
+      this.encryptionKey = null;
+    }
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  // Check the master password while enforcing the lockout. Returns null when the
+  // password is correct, otherwise a failure response for the renderer.
+  // With completeLogin false the failure counter is kept until a second factor passes.
+  async verifyMasterPassword(user, password, invalidMessage, { completeLogin = true } = {}) {
+    if (isLockedOut(user)) {
+      await this.recordEvent(user.id, 'login_failure', { details: { reason: 'Account locked' } });
+      return lockoutFailure(user.locked_until);
+    }
+
+    if (await bcrypt.compare(password || '', user.password_hash)) {
+      if (completeLogin) await this.repository.recordSuccessfulLogin(user.id);
+      return null;
+    }
+
+    return this.recordFailedAttempt(user.id, invalidMessage);
+  }
+
+  async recordFailedAttempt(userId, invalidMessage) {
+    const failedAttempts = await this.repository.incrementFailedAttempts(userId);
+    await this.recordEvent(userId, 'login_failure', { details: { reason: invalidMessage, failedAttempts } });
+
+    const duration = lockoutDuration(failedAttempts);
+    if (duration > 0) {
+      const lockedUntil = new Date(Date.now() + duration).toISOString();
+      await this.repository.setLockedUntil(userId, lockedUntil);
+      console.log('[INFO] Account locked after failed logins:', userId);
+      return lockoutFailure(lockedUntil);
+    }
+
+    return { success: false, error: invalidMessage, attemptsRemaining: MAX_FAILED_ATTEMPTS - failedAttempts };
+  }
+
+  // Replace all of a user's recovery codes; returns the new plaintext codes,
+  // which are never stored
+  async createRecoveryCodes(userId, dataKey) {
+    const codes = [];
+    const records = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const code = vaultCrypto.generateRecoveryCode();
+      codes.push(code);
+      records.push({
+        hash: vaultCrypto.hashRecoveryCode(userId, code),
+        ...(await vaultCrypto.wrapKeyWithPassword(dataKey, vaultCrypto.normalizeRecoveryCode(code), this.kdfParams()))
+      });
+    }
+
+    await this.repository.withTransaction(async () => {
+      await this.repository.deleteRecoveryCodes(userId);
+      for (const record of records) {
+        await this.repository.insertRecoveryCode(userId, record.hash, record);
+      }
+    });
+
+    return codes;
+  }
+
+  // Hold the unwrapped key until the authenticator code is checked; it is wiped
+  // if no code arrives within PENDING_LOGIN_TTL_MS
+  beginPendingLogin(user, dataKey, record) {
+    this.clearPendingLogin();
+    this.pendingLogin = {
+      user,
+      dataKey,
+      secret: decrypt(record.secret, totpContext(user.id), dataKey),
+      window: record.skew_window,
+      lastUsedStep: record.last_used_step,
+      timer: setTimeout(() => this.clearPendingLogin(), PENDING_LOGIN_TTL_MS)
+    };
+    return { success: false, requiresTotp: true, error: 'Enter the code from your authenticator app' };
+  }
+
+  clearPendingLogin() {
+    if (!this.pendingLogin) return;
+    clearTimeout(this.pendingLogin.timer);
+    this.pendingLogin.dataKey.fill(0);
+    this.pendingLogin = null;
+  }
+
+  // Password check and key unwrap shared by login and unlock. Starts the
+  // session, or parks it in pendingLogin when the account has TOTP enabled.
+  async authenticateUser(user, password, invalidMessage, keyFileHash = null) {
+    const totpRecord = await this.repository.getTotp(user.id);
+    const needsKeyFile = requiresKeyFile(await this.repository.getUserKey(user.id));
+    // A wrong password and a wrong key file get the same answer, so neither
+    // factor can be confirmed on its own
+    const failureMessage = needsKeyFile ? 'Invalid password or key file' : invalidMessage;
+
+    const failure = await this.verifyMasterPassword(user, password, failureMessage, { completeLogin: false });
+    if (failure) {
+      return failure;
+    }
+
+    let dataKey;
+    try {
+      dataKey = await this.unlockUserKey(user, password, keyFileHash);
+    } catch (keyError) {
+      if (needsKeyFile && (keyError.message === 'KEY_FILE_REQUIRED' || keyError.message === 'KEY_UNWRAP_FAILED')) {
+        return this.recordFailedAttempt(user.id, failureMessage);
+      }
+      console.error('Failed to unlock vault key:', keyError.message);
+      return { success: false, error: 'Unable to unlock vault key' };
+    }
+
+    if (totpRecord) {
+      return this.beginPendingLogin(user, dataKey, totpRecord);
+    }
+
+    await this.repository.recordSuccessfulLogin(user.id);
+    this.startSession(user, dataKey);
+    await this.recordEvent(user.id, 'login_success', { details: { method: 'password' } });
+    return { success: true, user: publicUser(user) };
+  }
+
+  // Start a session for an unlocked user and arm the idle timer
+  startSession(user, dataKey) {
+    this.clearSession();
+    this.currentUser = user;
+    this.encryptionKey = dataKey;
+    this.lockSettings = getLockSettings(user);
+    this.searchIndex = new SearchIndex();
+    this.vaultReady = this.keyedWrite(() => this.prepareVault(user, this.searchIndex)).catch(error => {
+      console.error('Failed to prepare vault for user', user.id, error);
+    });
+    this.resetIdleTimer();
+  }
+
+  // Purge expired trash, encrypt any metadata still stored as plaintext and
+  // rate passwords saved before strength was estimated, then index the
+  // decrypted metadata for search. Works on a copy of the key since
+  // locking wipes it.
+  async prepareVault(user, index) {
+    const userId = user.id;
+    const key = Buffer.from(this.encryptionKey);
+    try {
+      const { retentionDays } = getTrashSettings(user);
+      if (retentionDays > 0) {
+        await this.purgeTrash(userId, retentionDays);
+      }
+
+      const migrated = await this.migrateMetadata(userId, key);
+      if (migrated > 0) {
+        // Leave no copy of the old plaintext in the database file
+        await this.repository.vacuum();
+        console.log('[INFO] Encrypted metadata of', migrated, 'entries for user', userId);
+      }
+      const filed = await this.migrateCategories(userId, key);
+      if (filed > 0) {
+        console.log('[INFO] Moved', filed, 'categorised entries into folders for user', userId);
+      }
+      const rated = await this.migrateStrength(userId, key);
+      if (rated > 0) {
+        console.log('[INFO] Estimated the strength of', rated, 'passwords for user', userId);
+      }
+
+      const rows = await this.repository.listPasswords(userId);
+      for (const row of rows) {
+        index.set(row.id, { ...row, ...decryptFields('passwords', row, userId, key) });
+      }
+    } finally {
+      key.fill(0);
+      // The vault was locked while this ran
+      if (this.searchIndex !== index) {
+        index.clear();
+      }
+    }
+  }
+
+  // Encrypt metadata left in plaintext by older versions, in one transaction
+  migrateMetadata(userId, key) {
+    return this.repository.withTransaction(async () => {
+      let migrated = 0;
+      for (const [table, columns] of Object.entries(ENCRYPTED_FIELDS)) {
+        if (columns.length === 0) continue;
+        const rows = await this.repository.listColumns(table, columns, userId);
+        for (const row of rows) {
+          const values = {};
+          for (const column of columns) {
+            const value = String(row[column] || '');
+            if (!vaultCrypto.isEnvelope(value)) values[column] = value;
+          }
+          if (Object.keys(values).length === 0) continue;
+
+          await this.repository.updateColumns(table, row.id, userId, encryptColumns(table, row.id, userId, values, key));
+          migrated++;
+        }
+      }
+      return migrated;
+    });
+  }
+
+  // Wait for the unlock work before using the index
+  async getSearchIndex() {
+    await this.vaultReady;
+    if (!this.searchIndex) {
+      throw new Error('VAULT_LOCKED');
+    }
+    return this.searchIndex;
+  }
+
+  resetIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    if (!this.currentUser || !this.lockSettings || this.lockSettings.idleTimeoutMinutes <= 0) {
+      return;
+    }
+
+    this.idleTimer = setTimeout(() => this.lock('idle'), this.lockSettings.idleTimeoutMinutes * 60 * 1000);
+  }
+
+  // Wipe the key but remember who was logged in, so the renderer can show a
+  // lock overlay instead of sending the user back to the login page.
+  // Emits 'locked' with the reason and username.
+  lock(reason) {
+    if (!this.currentUser) return;
+
+    const user = publicUser(this.currentUser);
+    this.clearSession();
+    this.lockedUser = user;
+    console.log('[INFO] Vault locked:', reason);
+    this.emit('locked', { reason, username: user.username });
+  }
+
+  // Lock for 'minimize', 'suspend' or 'lock-screen' when the user's lock
+  // settings ask for it; returns whether the vault was locked
+  lockOnSystemEvent(event) {
+    if (!this.currentUser || !this.lockSettings) return false;
+
+    const enabled = event === 'minimize' ? this.lockSettings.lockOnMinimize : this.lockSettings.lockOnSuspend;
+    if (enabled) this.lock(event);
+    return Boolean(enabled);
+  }
+
+  // Audit log
+  // Events are sealed to the user's audit public key, so they can be written
+  // while the vault is locked (failed logins); the private key is kept under
+  // the data key, so only an unlocked session can read them.
+  async createAuditKey(userId, dataKey) {
+    const { publicKey, privateKey } = vaultCrypto.generateSealingKeyPair();
+    await this.repository.saveAuditKey(userId, publicKey, encrypt(privateKey, auditKeyContext(userId), dataKey));
+    return { public_key: publicKey };
+  }
+
+  // Append an event to the user's hash chain. Never throws: failing to audit
+  // is logged rather than failing the action itself. Must not be called from
+  // inside a repository transaction.
+  async recordEvent(userId, event, { entryId = null, details = {} } = {}) {
+    try {
+      await this.repository.withTransaction(async () => {
+        let auditKey = await this.repository.getAuditKey(userId);
+        if (!auditKey) {
+          // Accounts from before the audit log get their key on the next login
+          if (!this.currentUser || this.currentUser.id !== userId) {
+            console.warn('[WARN] No audit key for user', userId, '- event not recorded:', event);
+            return;
+          }
+          auditKey = await this.createAuditKey(userId, this.encryptionKey);
+        }
+
+        const createdAt = new Date().toISOString();
+        const payload = vaultCrypto.sealEnvelope(JSON.stringify({ event, entryId, details }), auditKey.public_key, auditContext(userId));
+        const prevHash = (await this.repository.getLastAuditHash(userId)) || AUDIT_GENESIS_HASH;
+        await this.repository.insertAuditEvent(userId, { payload, prevHash, hash: auditHash(prevHash, userId, createdAt, payload), createdAt });
+      });
+    } catch (error) {
+      console.error('Failed to record audit event', event, 'for user', userId, error.message);
+    }
+  }
+
+  // recordEvent for the logged-in user
+  audit(event, options) {
+    return this.currentUser ? this.recordEvent(this.currentUser.id, event, options) : Promise.resolve();
+  }
+
+  // The renderer reports when it shows a secret, since secrets reach it with
+  // the password list. fieldName is set for a hidden custom field.
+  async recordReveal(passwordId, fieldName = null) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    await this.recordUsage(passwordId);
+    await this.audit('reveal_password', { entryId: passwordId, details: fieldName ? { field: fieldName } : undefined });
+    return { success: true };
+  }
+
+  // The decrypted log, newest first, with the result of checking the whole
+  // hash chain. Filters: event, entryId, and from/to dates (inclusive).
+  async getAuditLog(filters = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const rows = await this.repository.listAuditEvents(userId);
+      const auditKey = await this.repository.getAuditKey(userId);
+      const privateKey = auditKey ? decrypt(auditKey.private_key, auditKeyContext(userId), this.encryptionKey) : null;
+
+      let prevHash = AUDIT_GENESIS_HASH;
+      let brokenAt = null;
+      const events = rows.map(row => {
+        if (brokenAt === null && (row.prev_hash !== prevHash || row.hash !== auditHash(row.prev_hash, userId, row.created_at, row.payload))) {
+          brokenAt = row.id;
+        }
+        prevHash = row.hash;
+
+        try {
+          const { event, entryId, details } = JSON.parse(vaultCrypto.openSealedEnvelope(row.payload, privateKey, auditContext(userId)));
+          return { id: row.id, created_at: row.created_at, event, entryId, details };
+        } catch (error) {
+          return { id: row.id, created_at: row.created_at, event: 'unreadable', entryId: null, details: {}, tampered: true };
+        }
+      });
+
+      const { event, entryId, from, to } = filters;
+      const filtered = events.filter(entry =>
+        (!event || entry.event === event) &&
+        (entryId === undefined || entryId === null || entryId === '' || entry.entryId === Number(entryId)) &&
+        (!from || entry.created_at >= new Date(from).toISOString()) &&
+        (!to || entry.created_at <= new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString())
+      ).reverse();
+
+      return {
+        success: true,
+        events: filtered,
+        eventTypes: AUDIT_EVENTS,
+        integrity: { valid: brokenAt === null, brokenAt, total: rows.length }
+      };
+    } catch (error) {
+      console.error('Error reading audit log:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The filtered log as CSV; saving it is up to the caller
+  async exportAuditLog(filters = {}) {
+    const log = await this.getAuditLog(filters);
+    if (!log.success) return log;
+
+    const header = 'Time,Event,Entry ID,Details\n';
+    const rows = log.events.map(entry =>
+      [entry.created_at, entry.event, entry.entryId === null ? '' : entry.entryId, JSON.stringify(entry.details)].map(csvField).join(',')
+    );
+    return {
+      success: true,
+      data: header + rows.join('\n'),
+      filename: `password_vault_audit_${new Date().toISOString().split('T')[0]}.csv`,
+      extension: 'csv',
+      count: log.events.length,
+      integrity: log.integrity
+    };
+  }
+
+  // Authentication
+  async registerUser({ username, email, password } = {}) {
+    try {
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      let userId;
+      try {
+        userId = await this.repository.createUser(username, email, hashedPassword);
+      } catch (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return { success: false, error: 'Username or email already exists' };
+        }
+        return { success: false, error: err.message };
+      }
+
+      // Give the new account its own data key, wrapped with the master password
+      const dataKey = vaultCrypto.generateDataKey();
+      try {
+        await this.saveUserKey(userId, dataKey, password);
+      } catch (keyError) {
+        console.error('Failed to store key for new user:', keyError);
+        await this.repository.deleteUser(userId).catch(() => {});
+        dataKey.fill(0);
+        return { success: false, error: 'Failed to create encryption key' };
+      }
+
+      // Recovery codes are optional; they can be generated later from Account Settings
+      const result = { success: true, userId };
+      try {
+        result.recoveryCodes = await this.createRecoveryCodes(userId, dataKey);
+      } catch (codeError) {
+        console.error('Failed to create recovery codes for new user:', codeError);
+        result.recoveryCodes = null;
+      }
+
+      // Created on the first login instead if this fails
+      try {
+        await this.createAuditKey(userId, dataKey);
+      } catch (auditError) {
+        console.error('Failed to create audit key for new user:', auditError);
+      } finally {
+        dataKey.fill(0);
+      }
+
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loginUser({ username, password, keyFile } = {}) {
+    try {
+      const keyFileHash = hashKeyFile(keyFile);
+      const user = await this.repository.findUserByLogin(username);
+      if (!user) {
+        return { success: false, error: 'Invalid username or password' };
+      }
+
+      try {
+        return await this.authenticateUser(user, password, 'Invalid username or password', keyFileHash);
+      } catch (bcryptError) {
+        return { success: false, error: 'Authentication error' };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Second login step for accounts with TOTP enabled
+  async verifyLoginTotp(code) {
+    if (!this.pendingLogin) {
+      return { success: false, expired: true, error: 'Login expired, please enter your password again' };
+    }
+
+    const login = this.pendingLogin;
+    try {
+      const user = await this.repository.getUser(login.user.id);
+
+      if (isLockedOut(user)) {
+        this.clearPendingLogin();
+        return lockoutFailure(user.locked_until);
+      }
+
+      const step = totp.verifyCode(login.secret, code, { window: login.window });
+      // A code is only accepted once, so an observed code cannot be replayed
+      if (step === null || (login.lastUsedStep !== null && step <= login.lastUsedStep)) {
+        const failure = await this.recordFailedAttempt(user.id, 'Invalid authentication code');
+        if (failure.lockedUntil) this.clearPendingLogin();
+        return failure;
+      }
+
+      await this.repository.setTotpLastUsedStep(user.id, step);
+      await this.repository.recordSuccessfulLogin(user.id);
+
+      clearTimeout(login.timer);
+      this.pendingLogin = null;
+      this.startSession(login.user, login.dataKey);
+      await this.recordEvent(user.id, 'login_success', { details: { method: 'totp' } });
+
+      return { success: true, user: publicUser(login.user) };
+    } catch (error) {
+      console.error('TOTP verification error:', error);
+      return { success: false, error: 'Authentication error' };
+    }
+  }
+
+  cancelPendingLogin() {
+    this.clearPendingLogin();
+    return { success: true };
+  }
+
+  // The session is cleared before the event is written, so callers need not wait
+  async logout() {
+    const user = this.currentUser;
+    this.clearSession();
+    if (user) await this.recordEvent(user.id, 'logout');
+    return { success: true };
+  }
+
+  checkAuth() {
+    if (this.lockedUser) {
+      return { success: true, authenticated: false, locked: true, user: this.lockedUser };
+    }
+    if (this.currentUser) {
+      return { success: true, authenticated: true, user: publicUser(this.currentUser) };
+    }
+    return { success: true, authenticated: false };
+  }
+
+  // Change the master password: the vault is re-encrypted under a fresh data key
+  // and the new bcrypt hash is written in the same transaction, so an
+  // interrupted change leaves the old password and key fully intact
+  async changeMasterPassword({ currentPassword, newPassword, keyFile } = {}, { onProgress } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      if (!newPassword || newPassword.length < 8) {
+        return { success: false, error: 'New password must be at least 8 characters long' };
+      }
+
+      const user = await this.repository.getUser(this.currentUser.id);
+      const failure = await this.verifyMasterPassword(user, currentPassword, 'Current password is incorrect', { completeLogin: false });
+      if (failure) {
+        return failure;
+      }
+
+      // The new key is wrapped with the same key file, so check it is the right one
+      const keyRecord = await this.repository.getUserKey(user.id);
+      const keyFileHash = requiresKeyFile(keyRecord) ? hashKeyFile(keyFile) : null;
+      if (requiresKeyFile(keyRecord)) {
+        if (!keyFileHash) {
+          return { success: false, error: 'Select your key file to change the master password' };
+        }
+        try {
+          (await vaultCrypto.unwrapKeyWithPassword(keyRecord, currentPassword, keyFileHash)).fill(0);
+        } catch (keyError) {
+          return { success: false, error: 'The key file does not match this vault' };
+        }
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      const { total: recoveryCodeCount } = await this.repository.countRecoveryCodes(user.id);
+
+      // Writes made with the old key finish first, later ones wait for the new key
+      const recoveryCodes = await this.exclusiveRekey(async () => {
+        if (!this.encryptionKey || this.currentUser.id !== user.id) {
+          throw new Error('The vault was locked');
+        }
+        // Work on a copy: auto-lock wipes encryptionKey in place
+        const oldKey = Buffer.from(this.encryptionKey);
+        let newKey;
+        try {
+          newKey = await this.rekeyUserVault(user, newPassword, oldKey, {
+            inTransaction: () => this.repository.updatePasswordHash(user.id, hashedPassword),
+            onProgress,
+            keyFileHash
+          });
+        } finally {
+          oldKey.fill(0);
+        }
+
+        // The re-key dropped the old recovery codes; issue a fresh set for the new key
+        let codes = null;
+        if (recoveryCodeCount > 0) {
+          try {
+            codes = await this.createRecoveryCodes(user.id, newKey);
+          } catch (codeError) {
+            console.error('Failed to replace recovery codes:', codeError);
+          }
+        }
+
+        if (this.currentUser && this.currentUser.id === user.id) {
+          this.encryptionKey.fill(0);
+          this.encryptionKey = newKey;
+          this.currentUser = { ...this.currentUser, password_hash: hashedPassword };
+        } else {
+          // The vault was locked while re-encrypting; the new password unlocks it
+          newKey.fill(0);
+        }
+        return codes;
+      });
+
+      console.log('[INFO] Master password changed for user', user.id);
+      return { success: true, recoveryCodes, username: user.username };
+    } catch (error) {
+      console.error('Change master password error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // TOTP enrollment and management
+  async getTotpStatus() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const record = await this.repository.getTotp(this.currentUser.id);
+      return { success: true, enabled: !!record, window: record ? record.skew_window : 1 };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Returns the new secret and its otpauth:// URI; nothing is stored until
+  // confirmTotpEnrollment sees a matching code
+  beginTotpEnrollment() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const secret = totp.generateSecret();
+    const uri = totp.buildOtpauthUri(secret, this.currentUser.username);
+    this.pendingTotpEnrollment = { userId: this.currentUser.id, secret };
+
+    return { success: true, secret, uri };
+  }
+
+  async confirmTotpEnrollment({ code, window = 1 } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!this.pendingTotpEnrollment || this.pendingTotpEnrollment.userId !== this.currentUser.id) {
+      return { success: false, error: 'No enrollment in progress' };
+    }
+
+    try {
+      const skewWindow = parseInt(window, 10);
+      if (isNaN(skewWindow) || skewWindow < 0 || skewWindow > MAX_TOTP_WINDOW) {
+        return { success: false, error: `Clock-skew window must be between 0 and ${MAX_TOTP_WINDOW} steps` };
+      }
+
+      const { secret } = this.pendingTotpEnrollment;
+      const step = totp.verifyCode(secret, code, { window: skewWindow });
+      if (step === null) {
+        return { success: false, error: 'Invalid authentication code' };
+      }
+
+      const userId = this.currentUser.id;
+      await this.repository.saveTotp(userId, encrypt(secret, totpContext(userId), this.encryptionKey), skewWindow, step);
+      this.pendingTotpEnrollment = null;
+
+      console.log('[INFO] Two-factor authentication enabled for user', userId);
+      return { success: true };
+    } catch (error) {
+      console.error('TOTP confirmation error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateTotpWindow(window) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const skewWindow = parseInt(window, 10);
+    if (isNaN(skewWindow) || skewWindow < 0 || skewWindow > MAX_TOTP_WINDOW) {
+      return { success: false, error: `Clock-skew window must be between 0 and ${MAX_TOTP_WINDOW} steps` };
+    }
+
+    try {
+      const changes = await this.repository.setTotpWindow(this.currentUser.id, skewWindow);
+      return changes > 0 ? { success: true } : { success: false, error: 'Two-factor authentication is not enabled' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Turning the second factor off needs the master password
+  async disableTotp(password) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const user = await this.repository.getUser(this.currentUser.id);
+      const failure = await this.verifyMasterPassword(user, password, 'Invalid password', { completeLogin: false });
+      if (failure) {
+        return failure;
+      }
+
+      await this.repository.deleteTotp(user.id);
+      console.log('[INFO] Two-factor authentication disabled for user', user.id);
+      return { success: true };
+    } catch (error) {
+      console.error('Disable TOTP error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Recovery codes
+  async getRecoveryStatus() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      return { success: true, ...(await this.repository.countRecoveryCodes(this.currentUser.id)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Issuing new codes invalidates the old ones, so the master password is required
+  async generateRecoveryCodes(password) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const user = await this.repository.getUser(this.currentUser.id);
+      const failure = await this.verifyMasterPassword(user, password, 'Invalid password', { completeLogin: false });
+      if (failure) {
+        return failure;
+      }
+
+      const codes = await this.createRecoveryCodes(user.id, this.encryptionKey);
+      console.log('[INFO] Recovery codes regenerated for user', user.id);
+      return { success: true, codes, username: user.username };
+    } catch (error) {
+      console.error('Generate recovery codes error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reset a forgotten master password with a recovery code. The code unwraps
+  // the data key, which is re-wrapped with the new password; the code is spent
+  // in the same transaction and the user is logged in.
+  // The code stands in for every other factor, so a lost key file or
+  // authenticator is recoverable too: the key file requirement and TOTP are
+  // both removed on purpose, recorded in the audit log and reported back so
+  // they can be set up again from Account Settings.
+  async recoverAccount({ username, code, newPassword } = {}) {
+    try {
+      if (!newPassword || newPassword.length < 8) {
+        return { success: false, error: 'New password must be at least 8 characters long' };
+      }
+
+      const user = await this.repository.findUserByLogin(username);
+      if (!user) {
+        return { success: false, error: 'Invalid username or recovery code' };
+      }
+
+      if (isLockedOut(user)) {
+        return lockoutFailure(user.locked_until);
+      }
+
+      const codeHash = vaultCrypto.hashRecoveryCode(user.id, code);
+      const record = await this.repository.findUnusedRecoveryCode(user.id, codeHash);
+      if (!record) {
+        return this.recordFailedAttempt(user.id, 'Invalid username or recovery code');
+      }
+
+      const dataKey = await vaultCrypto.unwrapKeyWithPassword(record, vaultCrypto.normalizeRecoveryCode(code));
+      const keyFileRemoved = requiresKeyFile(await this.repository.getUserKey(user.id));
+      const totpDisabled = Boolean(await this.repository.getTotp(user.id));
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      const wrapped = await vaultCrypto.wrapKeyWithPassword(dataKey, newPassword, this.kdfParams());
+
+      // A master password change since the lookup replaced the codes and the
+      // data key, so the key is only swapped while the code is still unused
+      const recovered = await this.exclusiveRekey(() => this.repository.withTransaction(async () => {
+        if (!(await this.repository.findUnusedRecoveryCode(user.id, codeHash))) {
+          return false;
+        }
+        await this.repository.markRecoveryCodeUsed(record.id);
+        await this.repository.updatePasswordHash(user.id, hashedPassword);
+        await this.repository.updateUserKey(user.id, wrapped);
+        if (totpDisabled) {
+          await this.repository.deleteTotp(user.id);
+        }
+        return true;
+      }));
+      if (!recovered) {
+        dataKey.fill(0);
+        return { success: false, error: 'Invalid username or recovery code' };
+      }
+      await this.repository.recordSuccessfulLogin(user.id);
+
+      this.startSession({ ...user, password_hash: hashedPassword }, dataKey);
+      await this.recordEvent(user.id, 'recover_account', { details: { keyFileRemoved, totpDisabled } });
+      await this.recordEvent(user.id, 'login_success', { details: { method: 'recovery_code' } });
+      const { remaining } = await this.repository.countRecoveryCodes(user.id);
+
+      console.log('[INFO] Account recovered with a recovery code for user', user.id);
+      return { success: true, user: publicUser(user), remainingCodes: remaining, keyFileRemoved, totpDisabled };
+    } catch (error) {
+      console.error('Account recovery error:', error);
+      return { success: false, error: 'Account recovery failed' };
+    }
+  }
+
+  // Key file
+  async getKeyFileStatus() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      return { success: true, enabled: requiresKeyFile(await this.repository.getUserKey(this.currentUser.id)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add, replace or remove the key file. The data key is unwrapped with the
+  // current factors and re-wrapped with the new ones; vault rows and recovery
+  // codes are unchanged. `generate` creates a random key file and hands it to
+  // saveKeyFile(contents, username), which stores it and resolves to its
+  // name, or null when the user cancels.
+  async updateKeyFile({ password, currentKeyFile, keyFile, generate = false, remove = false } = {}, { saveKeyFile } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!generate && !remove && !keyFile) {
+      return { success: false, error: 'Select a key file' };
+    }
+
+    let dataKey = null;
+    try {
+      const user = await this.repository.getUser(this.currentUser.id);
+      const failure = await this.verifyMasterPassword(user, password, 'Invalid password', { completeLogin: false });
+      if (failure) {
+        return failure;
+      }
+
+      const record = await this.repository.getUserKey(user.id);
+      try {
+        dataKey = await vaultCrypto.unwrapKeyWithPassword(record, password, hashKeyFile(currentKeyFile));
+      } catch (keyError) {
+        return { success: false, error: requiresKeyFile(record) ? 'Select your current key file' : 'Unable to unlock vault key' };
+      }
+
+      let keyFileHash = null;
+      let filename = null;
+      if (generate) {
+        const contents = Buffer.from(crypto.randomBytes(64).toString('base64') + '\n');
+        filename = await saveKeyFile(contents, user.username);
+        if (!filename) {
+          return { success: false, error: 'Save canceled' };
+        }
+        keyFileHash = vaultCrypto.hashKeyFile(contents);
+      } else if (!remove) {
+        keyFileHash = hashKeyFile(keyFile);
+      }
+
+      const wrapped = await vaultCrypto.wrapKeyWithPassword(dataKey, password, this.kdfParams(), keyFileHash);
+      // Swap the key record only if no master password change replaced it
+      // meanwhile; writing the old data key back would lose the re-keyed vault
+      const updated = await this.exclusiveRekey(async () => {
+        const latest = await this.repository.getUserKey(user.id);
+        if (!latest || latest.wrappedKey !== record.wrappedKey) {
+          return false;
+        }
+        await this.repository.updateUserKey(user.id, wrapped);
+        return true;
+      });
+      if (!updated) {
+        return { success: false, error: 'The master password was changed, please try again' };
+      }
+
+      console.log('[INFO] Key file', keyFileHash ? 'set' : 'removed', 'for user', user.id);
+      return { success: true, enabled: Boolean(keyFileHash), filename };
+    } catch (error) {
+      console.error('Update key file error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (dataKey) dataKey.fill(0);
+    }
+  }
+
+  // Auto-lock
+  // Unlock an auto-locked vault in place with the master password
+  async unlockVault({ password, keyFile } = {}) {
+    if (!this.lockedUser) return { success: false, error: 'Vault is not locked' };
+
+    try {
+      const user = await this.repository.getUser(this.lockedUser.id);
+      if (!user) {
+        return { success: false, error: 'Invalid password' };
+      }
+
+      return await this.authenticateUser(user, password, 'Invalid password', hashKeyFile(keyFile));
+    } catch (error) {
+      console.error('Unlock error:', error);
+      return { success: false, error: 'Unable to unlock vault' };
+    }
+  }
+
+  // The renderer reports user activity (throttled) to keep the vault unlocked
+  reportActivity() {
+    if (this.currentUser) this.resetIdleTimer();
+    return { success: true };
+  }
+
+  getLockSettings() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    return { success: true, settings: this.lockSettings };
+  }
+
+  async updateLockSettings(newSettings = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const idleTimeoutMinutes = parseInt(newSettings.idleTimeoutMinutes, 10);
+      if (isNaN(idleTimeoutMinutes) || idleTimeoutMinutes < 0 || idleTimeoutMinutes > 1440) {
+        return { success: false, error: 'Idle timeout must be between 0 and 1440 minutes' };
+      }
+
+      const user = await this.repository.getUser(this.currentUser.id);
+      const settings = parseUserSettings(user || {});
+      settings.autoLock = {
+        idleTimeoutMinutes,
+        lockOnMinimize: !!newSettings.lockOnMinimize,
+        lockOnSuspend: newSettings.lockOnSuspend !== false
+      };
+      await this.repository.updateSettings(this.currentUser.id, settings);
+
+      this.currentUser = { ...this.currentUser, settings: JSON.stringify(settings) };
+      this.lockSettings = getLockSettings(this.currentUser);
+      this.resetIdleTimer();
+
+      return { success: true, settings: this.lockSettings };
+    } catch (error) {
+      console.error('Update lock settings error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Password management
+  // Passwords matching a search, optionally only those in a folder or its
+  // subfolders
+  async getPasswords(searchTerm = '', { folderId = null } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    let rows;
+    let paths;
+    try {
+      // Metadata is encrypted, so searching runs against the in-memory index
+      const index = await this.getSearchIndex();
+      const inScope = await this.folderScope(userId, folderId);
+      rows = (await this.repository.listPasswords(userId)).filter(inScope);
+      if (searchTerm && searchTerm.trim()) {
+        const matches = index.search(searchTerm.trim());
+        rows = rows.filter(row => matches.has(row.id));
+      }
+      paths = await this.getFolderPaths(userId);
+    } catch (err) {
+      console.error('Database error in get-passwords:', err);
+      return { success: false, error: err.message };
+    }
+
+    try {
+      const migrations = [];
+      const passwords = rows.map(p => {
+        const entry = withFolderPath({ ...p, ...decryptFields('passwords', p, userId, this.encryptionKey) }, paths);
+        entry.expiry_status = expiryStatus(p.expires_at);
+        entry.crack_time_display = crackTimeDisplay(p.crack_time_seconds);
+        try {
+          const context = rowContext('passwords', p.id, userId);
+          const decryptedSecret = decrypt(p.secret.toString(), context, this.encryptionKey);
+
+          // Older formats are re-encrypted as a v2 envelope before returning
+          if (needsEnvelopeMigration(p.secret.toString())) {
+            console.log('Migrating password encryption for ID:', p.id);
+            migrations.push(this.repository.updateColumns('passwords', p.id, userId, { secret: encrypt(decryptedSecret, context, this.encryptionKey) })
+              .then(() => console.log('Successfully migrated password encryption for ID:', p.id))
+              .catch(err => console.error('Error migrating password encryption:', err)));
+          }
+
+          return {
+            ...entry,
+            secret: decryptedSecret
+          };
+        } catch (decryptError) {
+          console.error('Error decrypting password:', decryptError.message);
+
+          // Handle specific error types
+          if (decryptError.message === 'FERNET_ENCRYPTED_PASSWORD') {
+            return {
+              ...entry,
+              secret: '[FERNET_ENCRYPTED - Migrate with the old Flask key or re-enter this password]',
+              needsReentry: true,
+              legacyFormat: 'fernet'
+            };
+          } else if (decryptError.message === 'TAMPERED_CIPHERTEXT') {
+            return {
+              ...entry,
+              secret: '[TAMPERED - This entry failed its integrity check]',
+              needsReentry: true,
+              tampered: true
+            };
+          } else if (decryptError.message === 'UNSUPPORTED_ENCRYPTION_FORMAT') {
+            return {
+              ...entry,
+              secret: '[UNSUPPORTED_FORMAT - Please re-enter this password]',
+              needsReentry: true
+            };
+          } else {
+            return {
+              ...entry,
+              secret: '[DECRYPTION_ERROR - Please re-enter this password]',
+              needsReentry: true
+            };
+          }
+        }
+      });
+      await Promise.all(migrations);
+      return { success: true, passwords };
+    } catch (error) {
+      console.error('Error processing passwords:', error);
+      return { success: false, error: 'Failed to decrypt passwords: ' + error.message };
+    }
+  }
+
+  async addPassword(passwordData = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { label, username, password, url, notes, tags, is_favorite = false } = passwordData;
+
+      // Validate required fields
+      if (!label || !password) {
+        return { success: false, error: 'Label and password are required' };
+      }
+      const customFields = normalizeCustomFields(passwordData.custom_fields);
+
+      const index = await this.getSearchIndex();
+      if (index.hasLabel(label)) {
+        return { success: false, error: 'A password with this label already exists' };
+      }
+
+      const userId = this.currentUser.id;
+      const folderId = await this.resolveFolderId(passwordData, userId);
+      const expiry = expiryValues(passwordData);
+      const fields = { label, username: username || '', url: url || '', notes: notes || '', tags: tags || '', custom_fields: customFields };
+      const strength = strengthValues(password, fields);
+      const id = await this.insertEncryptedRow(
+        'passwords',
+        () => this.repository.insertPassword(userId, folderId ?? null, is_favorite, {
+          expiresAt: expiry.expires_at ?? null,
+          rotationDays: expiry.rotation_days ?? null,
+          strength: strength.password_strength,
+          crackTimeSeconds: strength.crack_time_seconds
+        }),
+        { ...fields, secret: password },
+        userId
+      );
+      index.set(id, fields);
+      await this.audit('add_password', { entryId: id });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Add password error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updatePassword(passwordData = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { id, label, username, password, url, notes, tags } = passwordData;
+
+      // Validate required fields
+      if (!id) {
+        return { success: false, error: 'Password ID is required' };
+      }
+      if (!label || !password) {
+        return { success: false, error: 'Label and password are required' };
+      }
+      const customFields = normalizeCustomFields(passwordData.custom_fields);
+
+      const index = await this.getSearchIndex();
+      if (index.hasLabel(label, id)) {
+        return { success: false, error: 'A password with this label already exists' };
+      }
+
+      const userId = this.currentUser.id;
+      const current = await this.repository.getPasswordExpiry(id, userId);
+      if (!current) {
+        return { success: false, error: 'Password not found or access denied' };
+      }
+      const folderId = await this.resolveFolderId(passwordData, userId);
+      const fields = { label, username: username || '', url: url || '', notes: notes || '', tags: tags || '', custom_fields: customFields };
+      const changes = await this.replaceSecret(id, userId, password, {
+        ...encryptFields('passwords', id, userId, fields, this.encryptionKey),
+        ...strengthValues(password, fields),
+        ...expiryValues(passwordData, current, this.secretDiffers(current, password)),
+        ...(folderId === undefined ? {} : { folder_id: folderId }),
+        // Left alone unless given, so older callers don't clear the star
+        ...(passwordData.is_favorite === undefined ? {} : { is_favorite: passwordData.is_favorite ? 1 : 0 })
+      });
+
+      if (changes === 0) {
+        return { success: false, error: 'Password not found or access denied' };
+      }
+      index.set(id, fields);
+      await this.audit('update_password', { entryId: id });
+      return { success: true };
+    } catch (error) {
+      console.error('Update password error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deletePassword(passwordId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      // Deleted entries go to the trash; see purgeTrash
+      const changes = await this.repository.moveToTrash('passwords', passwordId, this.currentUser.id);
+      if (changes === 0) {
+        return { success: false, error: 'Password not found' };
+      }
+      if (this.searchIndex) this.searchIndex.delete(passwordId);
+      await this.audit('delete_password', { entryId: passwordId });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Write a new secret, plus any other encrypted `values`, moving the
+  // current secret into password_history. Returns the number of rows changed.
+  replaceSecret(passwordId, userId, secret, values = {}) {
+    const { limit } = getHistorySettings(this.currentUser);
+    return this.repository.withTransaction(async () => {
+      const current = await this.repository.getPasswordSecret(passwordId, userId);
+      if (!current) return 0;
+
+      await this.archiveSecret(passwordId, userId, current.secret, secret, limit);
+      return this.repository.updateColumns('passwords', passwordId, userId, {
+        ...values,
+        secret: encrypt(secret, rowContext('passwords', passwordId, userId), this.encryptionKey)
+      }, { touch: true });
+    });
+  }
+
+  // Whether `secret` differs from a row's stored one; unreadable ones count as different
+  secretDiffers(row, secret) {
+    try {
+      return decrypt(row.secret.toString(), rowContext('passwords', row.id, this.currentUser.id), this.encryptionKey) !== secret;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // Runs inside replaceSecret's transaction. An unchanged secret is not
+  // archived, nor is one this key cannot read (e.g. Fernet).
+  async archiveSecret(passwordId, userId, storedSecret, newSecret, limit) {
+    if (limit <= 0) return;
+
+    let previous;
+    try {
+      previous = decrypt(storedSecret.toString(), rowContext('passwords', passwordId, userId), this.encryptionKey);
+    } catch (error) {
+      console.warn('[WARN] Previous secret of entry', passwordId, 'not kept in history:', error.message);
+      return;
+    }
+    if (previous === newSecret) return;
+
+    const historyId = await this.repository.insertHistory(passwordId, userId);
+    await this.repository.updateColumns('password_history', historyId, userId, {
+      secret: encrypt(previous, rowContext('password_history', historyId, userId), this.encryptionKey)
+    });
+    await this.repository.pruneHistory(userId, limit);
+  }
+
+  // Previous secrets of an entry, newest first
+  async getPasswordHistory(passwordId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const rows = await this.repository.listHistory(passwordId, userId);
+      const history = rows.map(row => {
+        try {
+          return { id: row.id, created_at: row.created_at, secret: decrypt(row.secret.toString(), rowContext('password_history', row.id, userId), this.encryptionKey) };
+        } catch (error) {
+          console.error('Error decrypting password history:', error.message);
+          return { id: row.id, created_at: row.created_at, secret: '[TAMPERED]', tampered: true };
+        }
+      });
+      return { success: true, history };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Decrypted secret of one history version, for copying to the clipboard
+  async getHistorySecret(historyId) {
+    const version = await this.readHistoryVersion(historyId);
+    if (version.success) {
+      await this.audit('copy_password', { entryId: version.passwordId, details: { historyId: Number(historyId) } });
+    }
+    return version;
+  }
+
+  async readHistoryVersion(historyId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    let row;
+    try {
+      row = await this.repository.getHistoryEntry(historyId, this.currentUser.id);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (!row) {
+      return { success: false, error: 'Password version not found' };
+    }
+
+    try {
+      return { success: true, passwordId: row.password_id, secret: decrypt(row.secret.toString(), rowContext('password_history', row.id, this.currentUser.id), this.encryptionKey) };
+    } catch (error) {
+      return { success: false, error: 'Failed to decrypt password' };
+    }
+  }
+
+  // Make a previous version current again; the secret it replaces goes into
+  // the history like any other change, so a restore can be undone
+  async restorePasswordVersion(historyId) {
+    const version = await this.readHistoryVersion(historyId);
+    if (!version.success) return version;
+
+    const userId = this.currentUser.id;
+    try {
+      const row = await this.repository.getPasswordMetadata(version.passwordId, userId);
+      if (!row) {
+        return { success: false, error: 'Password not found' };
+      }
+      const metadata = decryptFields('passwords', row, userId, this.encryptionKey);
+      const changes = await this.replaceSecret(version.passwordId, userId, version.secret, strengthValues(version.secret, metadata));
+      if (changes === 0) {
+        return { success: false, error: 'Password not found' };
+      }
+      console.log('[INFO] Restored password version', historyId, 'of entry', version.passwordId);
+      await this.audit('update_password', { entryId: version.passwordId, details: { restoredVersion: Number(historyId) } });
+      return { success: true, passwordId: version.passwordId };
+    } catch (error) {
+      console.error('Restore password version error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getHistorySettings() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    return { success: true, settings: getHistorySettings(this.currentUser) };
+  }
+
+  // Lowering the limit drops the oldest versions straight away
+  async updateHistorySettings(newSettings = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const limit = parseInt(newSettings.limit, 10);
+      if (isNaN(limit) || limit < 0 || limit > MAX_HISTORY_LIMIT) {
+        return { success: false, error: `History limit must be between 0 and ${MAX_HISTORY_LIMIT} versions` };
+      }
+
+      const user = await this.repository.getUser(this.currentUser.id);
+      const settings = parseUserSettings(user || {});
+      settings.passwordHistory = { limit };
+      await this.repository.updateSettings(this.currentUser.id, settings);
+      await this.repository.pruneHistory(this.currentUser.id, limit);
+
+      this.currentUser = { ...this.currentUser, settings: JSON.stringify(settings) };
+      return { success: true, settings: getHistorySettings(this.currentUser) };
+    } catch (error) {
+      console.error('Update history settings error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Decrypted secret of one entry, for copying to the clipboard
+  async getPasswordSecret(passwordId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    let row;
+    try {
+      row = await this.repository.getPasswordSecret(passwordId, this.currentUser.id);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (!row) {
+      return { success: false, error: 'Password not found' };
+    }
+
+    let secret;
+    try {
+      secret = decrypt(row.secret.toString(), rowContext('passwords', passwordId, this.currentUser.id), this.encryptionKey);
+    } catch (error) {
+      return { success: false, error: 'Failed to decrypt password' };
+    }
+    await this.recordUsage(passwordId);
+    await this.audit('copy_password', { entryId: passwordId });
+    return { success: true, secret };
+  }
+
+  // Value of one custom field for copying to the clipboard; for a TOTP field
+  // that is the current code rather than the secret
+  async getCustomFieldValue(passwordId, fieldIndex) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    let row;
+    try {
+      row = await this.repository.getCustomFields(passwordId, userId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (!row) {
+      return { success: false, error: 'Password not found' };
+    }
+
+    const fields = decryptFields('passwords', row, userId, this.encryptionKey);
+    if (fields.tampered) {
+      return { success: false, error: 'Failed to decrypt custom fields' };
+    }
+    const field = fields.custom_fields[Number(fieldIndex)];
+    if (!field) {
+      return { success: false, error: 'Custom field not found' };
+    }
+
+    let value;
+    try {
+      value = customFieldClipboardValue(field);
+    } catch (error) {
+      return { success: false, error: 'Invalid TOTP secret' };
+    }
+    await this.recordUsage(passwordId);
+    await this.audit('copy_password', { entryId: passwordId, details: { field: field.name } });
+    return { success: true, name: field.name, type: field.type, value };
+  }
+
+  // Convert Fernet entries left by the old Flask app using its key. Rows that
+  // decrypt are re-encrypted in the current format in one transaction; the
+  // report lists every converted and failed row.
+  async migrateFernetEntries(fernetKey) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      vaultCrypto.parseFernetKey(fernetKey || '');
+    } catch (error) {
+      return { success: false, error: 'Invalid Fernet key: expected 32 bytes encoded as URL-safe base64' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const report = await this.repository.withTransaction(async () => {
+        const converted = [];
+        const failed = [];
+
+        const sources = [
+          { table: 'passwords', type: 'password', nameColumn: 'label' },
+          { table: 'secure_notes', type: 'note', nameColumn: 'title' }
+        ];
+
+        for (const source of sources) {
+          const column = SECRET_COLUMNS[source.table];
+          const rows = await this.repository.listColumns(source.table, [source.nameColumn, column], userId);
+          for (const row of rows) {
+            const value = row[column] ? row[column].toString() : '';
+            if (!vaultCrypto.isFernetToken(value)) continue;
+
+            const name = decryptFields(source.table, row, userId, this.encryptionKey)[source.nameColumn];
+            try {
+              const plaintext = vaultCrypto.decryptFernet(value, fernetKey);
+              const encrypted = encrypt(plaintext, rowContext(source.table, row.id, userId), this.encryptionKey);
+              await this.repository.updateColumns(source.table, row.id, userId, { [column]: encrypted }, { touch: true });
+              converted.push({ id: row.id, type: source.type, name });
+            } catch (error) {
+              const reason = error.message === 'FERNET_INVALID_TOKEN'
+                ? 'Wrong key or corrupted value'
+                : error.message;
+              failed.push({ id: row.id, type: source.type, name, error: reason });
+            }
+          }
+        }
+
+        return { converted, failed };
+      });
+
+      console.log(`[INFO] Fernet migration: ${report.converted.length} converted, ${report.failed.length} failed`);
+      return { success: true, report };
+    } catch (error) {
+      console.error('Fernet migration error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Import passwords from external sources
+  async importPasswords(importData) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      if (!Array.isArray(importData) || importData.length === 0) {
+        return { success: false, error: 'No valid password data provided' };
+      }
+
+      const userId = this.currentUser.id;
+      const index = await this.getSearchIndex();
+      let importedCount = 0;
+      const errors = [];
+
+      for (const passwordData of importData) {
+        try {
+          // Validate required fields
+          if (!passwordData.label || !passwordData.password) {
+            errors.push(`Skipped entry: Missing label or password`);
+            continue;
+          }
+
+          const fields = {
+            label: passwordData.label.substring(0, 255),
+            username: passwordData.username ? passwordData.username.substring(0, 255) : '',
+            url: passwordData.url ? passwordData.url.substring(0, 500) : '',
+            notes: passwordData.notes ? passwordData.notes.substring(0, 1000) : '',
+            tags: passwordData.tags || '',
+            custom_fields: normalizeCustomFields(passwordData.custom_fields)
+          };
+          if (index.hasLabel(fields.label)) {
+            errors.push(`Error importing "${passwordData.label}": A password with this label already exists`);
+            continue;
+          }
+
+          // Insert into database with the password and metadata encrypted.
+          // Entries without a folder or category are filed under "Imported".
+          const folderId = await this.resolveFolderId({ folder: passwordData.folder || passwordData.category || 'Imported' }, userId);
+          const expiry = expiryValues(passwordData);
+          const strength = strengthValues(passwordData.password, fields);
+          const id = await this.insertEncryptedRow(
+            'passwords',
+            () => this.repository.insertPassword(userId, folderId, Boolean(passwordData.is_favorite), {
+              expiresAt: expiry.expires_at ?? null,
+              rotationDays: expiry.rotation_days ?? null,
+              strength: strength.password_strength,
+              crackTimeSeconds: strength.crack_time_seconds
+            }),
+            { ...fields, secret: passwordData.password },
+            userId
+          );
+          index.set(id, fields);
+
+          importedCount++;
+        } catch (error) {
+          errors.push(`Error importing "${passwordData.label}": ${error.message}`);
+        }
+      }
+
+      await this.audit('import', { details: { count: importedCount, errors: errors.length } });
+      return {
+        success: true,
+        count: importedCount,
+        errors: errors.length > 0 ? errors : null
+      };
+    } catch (error) {
+      console.error('Import error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Export and backup
+  // Every password with its metadata and secret decrypted. Entries that cannot
+  // be decrypted are left out unless a placeholder secret is given for them.
+  async decryptAllPasswords({ placeholder = null, inScope = () => true } = {}) {
+    const userId = this.currentUser.id;
+    const rows = (await this.repository.listPasswords(userId)).filter(inScope);
+    const paths = await this.getFolderPaths(userId);
+    const passwords = [];
+    for (const p of rows) {
+      const entry = withFolderPath({ ...p, ...decryptFields('passwords', p, userId, this.encryptionKey) }, paths);
+      try {
+        entry.secret = p.secret ? decrypt(p.secret.toString(), rowContext('passwords', p.id, userId), this.encryptionKey) : '';
+      } catch (error) {
+        console.error('Error decrypting password:', error.message);
+        if (placeholder === null) continue;
+        entry.secret = placeholder;
+      }
+      passwords.push(entry);
+    }
+    return passwords;
+  }
+
+  // Notes that decrypt cleanly, for exports and backups
+  async decryptAllNotes({ inScope = () => true } = {}) {
+    const result = await this.getSecureNotes();
+    if (!result.success) throw new Error(result.error);
+    return result.notes.filter(note => !note.tampered && inScope(note));
+  }
+
+  // Items that decrypt cleanly, for exports and backups
+  async decryptAllItems({ inScope = () => true } = {}) {
+    const userId = this.currentUser.id;
+    const rows = (await this.repository.listItems(userId)).filter(inScope);
+    const paths = await this.getFolderPaths(userId);
+    return rows.map(row => this.decryptItem(row, paths)).filter(item => !item.tampered);
+  }
+
+  // Build an export as CSV, JSON, Bitwarden JSON or an encrypted .vault file,
+  // of the whole vault or one folder and its subfolders. Resolves to the file
+  // contents with a suggested filename and extension; saving it is up to the
+  // caller. CSV holds logins only.
+  async exportPasswords(format, { folderId = null } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const userId = this.currentUser.id;
+      const inScope = await this.folderScope(userId, folderId);
+      const passwords = await this.decryptAllPasswords({ inScope });
+      const items = format === 'csv' ? [] : await this.decryptAllItems({ inScope });
+      const notes = format === 'csv' ? [] : await this.decryptAllNotes({ inScope });
+      const date = new Date().toISOString().split('T')[0];
+      const auditFormat = ['csv', 'json', 'bitwarden'].includes(format) ? format : 'vault';
+      await this.audit('export', {
+        details: { format: auditFormat, count: passwords.length, notes: notes.length, items: items.length, ...(folderId ? { folderId: Number(folderId) } : {}) }
+      });
+
+      if (format === 'csv') {
+        const csvHeader = 'Label,Username,Password,URL,Folder,Notes,Tags,Created,Favorite\n';
+        const csvRows = passwords.map(p => {
+          const fields = [
+            p.label || '',
+            p.username || '',
+            p.secret || '',
+            p.url || '',
+            p.folder || '',
+            p.notes || '',
+            p.tags || '',
+            p.created_at || new Date().toISOString(),
+            p.is_favorite ? '1' : '0'
+          ];
+          return fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',');
+        });
+
+        return { success: true, data: csvHeader + csvRows.join('\n'), filename: `password_vault_export_${date}.csv`, extension: 'csv', count: passwords.length };
+      }
+
+      const folders = await this.exportFolders(userId, inScope);
+
+      if (format === 'bitwarden') {
+        const data = buildBitwardenExport({ passwords, notes, items, folders });
+        return { success: true, data: JSON.stringify(data, null, 2), filename: `password_vault_bitwarden_${date}.json`, extension: 'json', count: data.items.length };
+      }
+
+      const backupData = {
+        exported_at: new Date().toISOString(),
+        version: '1.0',
+        folders,
+        passwords,
+        notes,
+        items,
+        user: { username: this.currentUser.username }
+      };
+
+      if (format === 'json') {
+        return { success: true, data: JSON.stringify(backupData, null, 2), filename: `password_vault_export_${date}.json`, extension: 'json', count: passwords.length };
+      }
+
+      // Encrypted backup
+      const data = encrypt(JSON.stringify(backupData), backupContext(this.currentUser.id), this.encryptionKey);
+      return { success: true, data, filename: `password_vault_backup_${date}.vault`, extension: 'vault', count: passwords.length };
+    } catch (error) {
+      console.error('Export error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Encrypted backup of every password; unreadable secrets are kept as a marker
+  async createBackup() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const backupData = {
+        created_at: new Date().toISOString(),
+        version: '1.0',
+        user: { username: this.currentUser.username },
+        folders: await this.exportFolders(this.currentUser.id),
+        passwords: await this.decryptAllPasswords({ placeholder: '[DECRYPTION_ERROR]' }),
+        notes: await this.decryptAllNotes(),
+        items: await this.decryptAllItems(),
+        attachments: await this.decryptAllAttachments()
+      };
+      await this.audit('backup', {
+        details: { count: backupData.passwords.length, notes: backupData.notes.length, attachments: backupData.attachments.length }
+      });
+
+      return {
+        success: true,
+        data: encrypt(JSON.stringify(backupData), backupContext(this.currentUser.id), this.encryptionKey),
+        filename: `password_vault_backup_${new Date().toISOString().split('T')[0]}.vault`,
+        count: backupData.passwords.length
+      };
+    } catch (error) {
+      console.error('Backup error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Attachments of entries outside the trash, content base64-encoded for
+  // backups. Attachments that fail to decrypt are left out.
+  async decryptAllAttachments() {
+    const userId = this.currentUser.id;
+    const attachments = [];
+    for (const row of await this.repository.listActiveAttachments(userId)) {
+      try {
+        const { data, ...attachment } = await this.decryptAttachment(row);
+        attachments.push({ ...attachment, data: data.toString('base64') });
+      } catch (error) {
+        console.error('Error decrypting attachment', row.id, error.message);
+      }
+    }
+    return attachments;
+  }
+
+  // Attachments
+  describeAttachment(row) {
+    const fields = decryptFields('attachments', row, this.currentUser.id, this.encryptionKey);
+    const ownerType = Object.keys(ENTRY_TABLES).find(type => ENTRY_TABLES[type] === row.owner_table);
+    return {
+      id: row.id,
+      ownerType,
+      ownerId: row.owner_id,
+      name: fields.file_name,
+      type: fields.file_type,
+      size: row.file_size,
+      created_at: row.created_at,
+      ...(fields.tampered ? { tampered: true } : {})
+    };
+  }
+
+  // Metadata plus the decrypted content as a Buffer. Throws TAMPERED_CIPHERTEXT
+  // when any chunk fails its check or the size does not add up.
+  async decryptAttachment(row) {
+    const userId = this.currentUser.id;
+    const chunks = [];
+    for (let index = 0; index < row.chunk_count; index++) {
+      const chunk = await this.repository.getAttachmentChunk(row.id, index, userId);
+      if (!chunk) throw new Error('TAMPERED_CIPHERTEXT');
+      chunks.push(vaultCrypto.decryptChunk(chunk, this.encryptionKey, chunkContext(row.id, index, index === row.chunk_count - 1, userId)));
+    }
+
+    const data = Buffer.concat(chunks);
+    chunks.forEach(chunk => chunk.fill(0));
+    if (data.length !== row.file_size) throw new Error('TAMPERED_CIPHERTEXT');
+    return { ...this.describeAttachment(row), data };
+  }
+
+  // Attach a file to a password or note: { ownerType, ownerId, name, type, data }
+  // with data as raw bytes from the renderer or a Buffer read by main
+  async addAttachment({ ownerType, ownerId, name, type = '', data } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const table = ENTRY_TABLES[ownerType];
+    if (!table || !name || !data) {
+      return { success: false, error: 'An entry, file name and file contents are required' };
+    }
+
+    const userId = this.currentUser.id;
+    const content = Buffer.from(data);
+    if (content.length > MAX_ATTACHMENT_SIZE) {
+      return { success: false, error: `Attachments are limited to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB` };
+    }
+
+    try {
+      if (!(await this.repository.isActiveEntry(table, ownerId, userId))) {
+        return { success: false, error: 'Entry not found' };
+      }
+      if ((await this.repository.listAttachments(table, ownerId, userId)).length >= MAX_ATTACHMENTS_PER_ENTRY) {
+        return { success: false, error: `An entry can have at most ${MAX_ATTACHMENTS_PER_ENTRY} attachments` };
+      }
+
+      // Empty files still get one (empty) chunk
+      const chunkCount = Math.max(1, Math.ceil(content.length / ATTACHMENT_CHUNK_SIZE));
+      const id = await this.repository.withTransaction(async () => {
+        const attachmentId = await this.repository.insertAttachment(userId, table, ownerId, content.length, chunkCount);
+        await this.repository.updateColumns('attachments', attachmentId, userId,
+          encryptColumns('attachments', attachmentId, userId, { file_name: name, file_type: type }, this.encryptionKey));
+        for (let index = 0; index < chunkCount; index++) {
+          const chunk = content.subarray(index * ATTACHMENT_CHUNK_SIZE, (index + 1) * ATTACHMENT_CHUNK_SIZE);
+          const context = chunkContext(attachmentId, index, index === chunkCount - 1, userId);
+          await this.repository.insertAttachmentChunk(attachmentId, userId, index, vaultCrypto.encryptChunk(chunk, this.encryptionKey, context));
+        }
+        await this.repository.refreshAttachmentFlag(table, ownerId, userId);
+        return attachmentId;
+      });
+      content.fill(0);
+
+      await this.audit('add_attachment', { entryId: Number(ownerId), details: { ownerType, attachmentId: id, size: content.length } });
+      return { success: true, attachment: { id, ownerType, ownerId: Number(ownerId), name, type, size: content.length } };
+    } catch (error) {
+      console.error('Error adding attachment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getAttachments(ownerType, ownerId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const table = ENTRY_TABLES[ownerType];
+    if (!table) return { success: false, error: 'Unknown entry type' };
+
+    try {
+      const rows = await this.repository.listAttachments(table, ownerId, this.currentUser.id);
+      return { success: true, attachments: rows.map(row => this.describeAttachment(row)) };
+    } catch (error) {
+      console.error('Error getting attachments:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Decrypted attachment for saving or opening; main decides where it goes
+  async readAttachment(attachmentId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const row = await this.repository.getAttachment(attachmentId, this.currentUser.id);
+      if (!row) {
+        return { success: false, error: 'Attachment not found' };
+      }
+
+      let attachment;
+      try {
+        attachment = await this.decryptAttachment(row);
+      } catch (error) {
+        return { success: false, error: error.message === 'TAMPERED_CIPHERTEXT' ? 'This attachment failed its integrity check' : error.message };
+      }
+
+      await this.audit('open_attachment', { entryId: row.owner_id, details: { ownerType: attachment.ownerType, attachmentId: row.id } });
+      return { success: true, attachment };
+    } catch (error) {
+      console.error('Error reading attachment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteAttachment(attachmentId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const row = await this.repository.getAttachment(attachmentId, userId);
+      if (!row) {
+        return { success: false, error: 'Attachment not found' };
+      }
+
+      await this.repository.withTransaction(async () => {
+        await this.repository.deleteAttachment(row.id, userId);
+        await this.repository.refreshAttachmentFlag(row.owner_table, row.owner_id, userId);
+      });
+
+      await this.audit('delete_attachment', { entryId: row.owner_id, details: { attachmentId: row.id } });
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Secure notes
+  async getSecureNotes() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const notes = await this.repository.listNotes(userId);
+      const paths = await this.getFolderPaths(userId);
+
+      // Decrypt note content, upgrading older formats to the v2 envelope
+      const migrations = [];
+      const decryptedNotes = notes.map(raw => {
+        const note = withFolderPath(raw, paths);
+        const fields = decryptFields('secure_notes', note, userId, this.encryptionKey);
+        try {
+          const context = rowContext('secure_notes', note.id, userId);
+          const content = decrypt(note.content, context, this.encryptionKey);
+
+          if (needsEnvelopeMigration(note.content)) {
+            console.log('Migrating secure note encryption for ID:', note.id);
+            migrations.push(this.repository.updateColumns('secure_notes', note.id, userId, { content: encrypt(content, context, this.encryptionKey) })
+              .catch(err => console.error('Failed to migrate secure note:', err)));
+          }
+
+          return { ...note, ...fields, content };
+        } catch (error) {
+          console.error('Error decrypting note:', error);
+          return {
+            ...note,
+            ...fields,
+            content: error.message === 'TAMPERED_CIPHERTEXT' ? '[TAMPERED]' : '[DECRYPTION_ERROR]',
+            tampered: error.message === 'TAMPERED_CIPHERTEXT'
+          };
+        }
+      });
+
+      await Promise.all(migrations);
+      return { success: true, notes: decryptedNotes };
+    } catch (error) {
+      console.error('Error getting secure notes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async addSecureNote(noteData = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { title, content, tags = '', is_favorite = false } = noteData;
+
+      if (!title || !content) {
+        return { success: false, error: 'Title and content are required' };
+      }
+
+      // Insert with the title, tags and content encrypted
+      const userId = this.currentUser.id;
+      const folderId = await this.resolveFolderId(noteData, userId);
+      const id = await this.insertEncryptedRow(
+        'secure_notes',
+        () => this.repository.insertNote(userId, folderId ?? null, is_favorite),
+        { title, tags, content },
+        userId
+      );
+      await this.audit('add_note', { entryId: id });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Error adding secure note:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateSecureNote({ id, ...noteData } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { title, content, tags } = noteData;
+
+      if (!title || !content) {
+        return { success: false, error: 'Title and content are required' };
+      }
+
+      // Notes in the trash are restored first, not edited in place
+      const userId = this.currentUser.id;
+      const row = await this.repository.getNote(id, userId);
+      if (!row) {
+        return { success: false, error: 'Note not found' };
+      }
+      const folderId = await this.resolveFolderId(noteData, userId);
+
+      // Encrypt content and metadata
+      await this.repository.updateColumns('secure_notes', row.id, userId, {
+        ...encryptFields('secure_notes', row.id, userId, { title, tags }, this.encryptionKey),
+        content: encrypt(content, rowContext('secure_notes', row.id, userId), this.encryptionKey),
+        ...(folderId === undefined ? {} : { folder_id: folderId }),
+        ...(noteData.is_favorite === undefined ? {} : { is_favorite: noteData.is_favorite ? 1 : 0 })
+      }, { touch: true });
+      await this.audit('update_note', { entryId: row.id });
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating secure note:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteSecureNote(id) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const changes = await this.repository.moveToTrash('secure_notes', id, this.currentUser.id);
+      if (changes === 0) {
+        return { success: false, error: 'Note not found' };
+      }
+      await this.audit('delete_note', { entryId: id });
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting secure note:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Folders
+  // The user's folders with their names decrypted
+  async loadFolders(userId, key = this.encryptionKey) {
+    const rows = await this.repository.listFolders(userId);
+    return rows.map(row => ({ ...row, name: decryptFields('folders', row, userId, key).name }));
+  }
+
+  async getFolderPaths(userId) {
+    return folderPaths(await this.loadFolders(userId));
+  }
+
+  // Folders with their paths for exports and backups, limited to a scope
+  async exportFolders(userId, inScope = () => true) {
+    const folders = await this.loadFolders(userId);
+    const paths = folderPaths(folders);
+    return folders
+      .filter(folder => inScope({ folder_id: folder.id }))
+      .map(folder => ({ id: folder.id, parent_id: folder.parent_id, name: folder.name, path: paths.get(folder.id) }));
+  }
+
+  // Every folder with its path and the number of entries directly in it
+  async getFolders() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const folders = await this.loadFolders(userId);
+      const paths = folderPaths(folders);
+      const counts = {};
+      for (const table of Object.values(ENTRY_TABLES)) {
+        for (const { folder_id: folderId, count } of await this.repository.countFolderEntries(table, userId)) {
+          counts[folderId] = (counts[folderId] || 0) + count;
+        }
+      }
+
+      return {
+        success: true,
+        folders: folders
+          .map(folder => ({ id: folder.id, parent_id: folder.parent_id, name: folder.name, path: paths.get(folder.id), count: counts[folder.id] || 0 }))
+          .sort((a, b) => a.path.localeCompare(b.path)),
+        unfiled: counts.null || 0
+      };
+    } catch (error) {
+      console.error('Error getting folders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Error message when a folder called name cannot go under parentId
+  checkFolderPlacement(folders, name, parentId, exceptId = null) {
+    if (parentId !== null && !folders.some(folder => folder.id === parentId)) {
+      return 'Parent folder not found';
+    }
+    const taken = folders.some(folder => folder.parent_id === parentId && folder.id !== exceptId &&
+      folder.name.toLowerCase() === name.toLowerCase());
+    return taken ? 'A folder with this name already exists here' : null;
+  }
+
+  async createFolder({ name, parent_id: parentId = null } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const nameError = validateFolderName(name);
+    if (nameError) return { success: false, error: nameError };
+
+    const userId = this.currentUser.id;
+    try {
+      const folderName = String(name).trim();
+      const parent = parentId === null || parentId === '' ? null : Number(parentId);
+      const folders = await this.loadFolders(userId);
+      const placementError = this.checkFolderPlacement(folders, folderName, parent);
+      if (placementError) return { success: false, error: placementError };
+
+      const id = await this.insertEncryptedRow('folders', () => this.repository.insertFolder(userId, parent), { name: folderName }, userId);
+      return { success: true, folder: { id, parent_id: parent, name: folderName } };
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async renameFolder(id, name) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const nameError = validateFolderName(name);
+    if (nameError) return { success: false, error: nameError };
+
+    const userId = this.currentUser.id;
+    try {
+      const folderName = String(name).trim();
+      const folders = await this.loadFolders(userId);
+      const folder = folders.find(f => f.id === Number(id));
+      if (!folder) return { success: false, error: 'Folder not found' };
+
+      const placementError = this.checkFolderPlacement(folders, folderName, folder.parent_id, folder.id);
+      if (placementError) return { success: false, error: placementError };
+
+      await this.repository.updateColumns('folders', folder.id, userId, encryptFields('folders', folder.id, userId, { name: folderName }, this.encryptionKey));
+      return { success: true };
+    } catch (error) {
+      console.error('Error renaming folder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Move a folder, with everything in it, under parentId (null for the top)
+  async moveFolder(id, parentId = null) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const folders = await this.loadFolders(userId);
+      const folder = folders.find(f => f.id === Number(id));
+      if (!folder) return { success: false, error: 'Folder not found' };
+
+      const parent = parentId === null || parentId === '' ? null : Number(parentId);
+      if (parent !== null && folderSubtree(folders, folder.id).has(parent)) {
+        return { success: false, error: 'A folder cannot be moved into itself' };
+      }
+      const placementError = this.checkFolderPlacement(folders, folder.name, parent, folder.id);
+      if (placementError) return { success: false, error: placementError };
+
+      await this.repository.updateColumns('folders', folder.id, userId, { parent_id: parent });
+      return { success: true };
+    } catch (error) {
+      console.error('Error moving folder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Entries and subfolders of a deleted folder move up to its parent; nothing
+  // is deleted with it
+  async deleteFolder(id) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const folders = await this.loadFolders(userId);
+      const folder = folders.find(f => f.id === Number(id));
+      if (!folder) return { success: false, error: 'Folder not found' };
+
+      // Subfolders moving up must not clash with the names already there
+      for (const child of folders.filter(f => f.parent_id === folder.id)) {
+        if (this.checkFolderPlacement(folders, child.name, folder.parent_id, folder.id)) {
+          return { success: false, error: `"${child.name}" already exists in the parent folder` };
+        }
+      }
+
+      await this.repository.withTransaction(() => this.repository.deleteFolder(folder.id, userId, folder.parent_id));
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Move entries, given as { type, id }, into a folder (null for none)
+  async moveEntries(entries = [], folderId = null) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return { success: false, error: 'No entries selected' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const target = folderId === null || folderId === '' ? null : Number(folderId);
+      if (target !== null && !(await this.loadFolders(userId)).some(folder => folder.id === target)) {
+        return { success: false, error: 'Folder not found' };
+      }
+
+      const moved = await this.repository.withTransaction(async () => {
+        let count = 0;
+        for (const { type, id } of entries) {
+          const table = ENTRY_TABLES[type];
+          if (table) count += await this.repository.setEntryFolder(table, id, userId, target);
+        }
+        return count;
+      });
+      return { success: true, moved };
+    } catch (error) {
+      console.error('Error moving entries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The folder an added, edited or imported entry goes in: folder_id when
+  // given, otherwise the folder at the `folder` path (as exported) or named
+  // after the older `category` field, created when missing. "General" was
+  // the default category and means no folder. Undefined when none is given.
+  async resolveFolderId(entryData, userId) {
+    const has = key => Object.prototype.hasOwnProperty.call(entryData, key);
+    if (has('folder_id')) {
+      if (entryData.folder_id === null || entryData.folder_id === '') return null;
+      const folderId = Number(entryData.folder_id);
+      if (!(await this.loadFolders(userId)).some(folder => folder.id === folderId)) {
+        throw new Error('Folder not found');
+      }
+      return folderId;
+    }
+
+    if (!has('folder') && !has('category')) return undefined;
+    const path = String(entryData.folder || entryData.category || '').trim();
+    return path === 'General' ? null : this.findOrCreateFolderPath(userId, path);
+  }
+
+  // Folder for a path such as "Work / Clients", creating any missing part
+  async findOrCreateFolderPath(userId, path, key = this.encryptionKey) {
+    const names = String(path).split('/').map(name => name.trim().slice(0, MAX_FOLDER_NAME_LENGTH)).filter(Boolean);
+    if (names.length === 0) return null;
+
+    const folders = await this.loadFolders(userId, key);
+    let parentId = null;
+    for (const name of names) {
+      const existing = folders.find(folder => folder.parent_id === parentId && folder.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        parentId = existing.id;
+        continue;
+      }
+
+      const id = await this.repository.withTransaction(async () => {
+        const folderId = await this.repository.insertFolder(userId, parentId);
+        await this.repository.updateColumns('folders', folderId, userId, encryptColumns('folders', folderId, userId, { name }, key));
+        return folderId;
+      });
+      folders.push({ id, parent_id: parentId, name });
+      parentId = id;
+    }
+    return parentId;
+  }
+
+  // Entry filter for a folder and its subfolders; no folder means every entry
+  async folderScope(userId, folderId) {
+    if (folderId === undefined || folderId === null || folderId === '') return () => true;
+    const ids = folderSubtree(await this.loadFolders(userId), folderId);
+    return row => ids.has(row.folder_id);
+  }
+
+  // Move category strings left by older versions into folders
+  async migrateCategories(userId, key) {
+    let migrated = 0;
+    for (const table of Object.values(ENTRY_TABLES)) {
+      for (const row of await this.repository.listLegacyCategories(table, userId)) {
+        const folderId = await this.findOrCreateFolderPath(userId, row.category, key);
+        await this.repository.clearLegacyCategory(table, row.id, userId, folderId);
+        migrated++;
+      }
+    }
+    return migrated;
+  }
+
+  // Rate passwords saved before strength was estimated. Secrets this key
+  // cannot read (e.g. Fernet) stay unrated until they are re-entered.
+  async migrateStrength(userId, key) {
+    let rated = 0;
+    for (const row of await this.repository.listUnratedPasswords(userId)) {
+      let secret;
+      try {
+        secret = decrypt(row.secret.toString(), rowContext('passwords', row.id, userId), key);
+      } catch (error) {
+        continue;
+      }
+      const metadata = decryptFields('passwords', row, userId, key);
+      await this.repository.updateColumns('passwords', row.id, userId, strengthValues(secret, metadata));
+      rated++;
+    }
+    return rated;
+  }
+
+  // Favorites
+  // Flip the star on a password, note or item
+  async toggleFavorite({ type = 'password', id } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const table = ENTRY_TABLES[type];
+    if (!table) return { success: false, error: 'Unknown entry type' };
+
+    const userId = this.currentUser.id;
+    try {
+      const isFavorite = await this.repository.withTransaction(async () => {
+        const row = await this.repository.getEntryFavorite(table, id, userId);
+        if (!row) return null;
+        await this.repository.setEntryFavorite(table, id, userId, !row.is_favorite);
+        return !row.is_favorite;
+      });
+
+      if (isFavorite === null) {
+        return { success: false, error: 'Entry not found' };
+      }
+      return { success: true, is_favorite: isFavorite };
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Star or unstar entries, given as { type, id }, in one transaction
+  async setFavorites(entries = [], favorite = true) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return { success: false, error: 'No entries selected' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const updated = await this.repository.withTransaction(async () => {
+        let count = 0;
+        for (const { type, id } of entries) {
+          const table = ENTRY_TABLES[type];
+          if (table) count += await this.repository.setEntryFavorite(table, id, userId, favorite);
+        }
+        return count;
+      });
+      return { success: true, updated };
+    } catch (error) {
+      console.error('Error updating favorites:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Usage
+  // Copies, reveals and opened URLs bump access_count and last_accessed.
+  // Failing to count a use never fails the action itself.
+  async recordUsage(passwordId) {
+    try {
+      await this.repository.recordAccess(passwordId, this.currentUser.id);
+    } catch (error) {
+      console.error('Failed to record usage of entry', passwordId, error.message);
+    }
+  }
+
+  // An entry's URL for opening in the browser; only web addresses are opened
+  async openPasswordUrl(passwordId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    let row;
+    try {
+      row = await this.repository.getPasswordMetadata(passwordId, userId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (!row) {
+      return { success: false, error: 'Password not found' };
+    }
+
+    const { url, tampered } = decryptFields('passwords', row, userId, this.encryptionKey);
+    if (tampered || !url) {
+      return { success: false, error: 'This entry has no URL' };
+    }
+    let address;
+    try {
+      address = new URL(/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`);
+    } catch (error) {
+      return { success: false, error: 'This entry\'s URL is not valid' };
+    }
+    if (address.protocol !== 'https:' && address.protocol !== 'http:') {
+      return { success: false, error: 'Only web addresses can be opened' };
+    }
+
+    await this.recordUsage(row.id);
+    await this.audit('open_url', { entryId: row.id });
+    return { success: true, url: address.href };
+  }
+
+  // Passwords unused for `months` months, least recently used first, as
+  // candidates for deletion
+  async getUnusedPasswords(months = 6) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const period = Number(months);
+    if (!Number.isInteger(period) || period < 1 || period > 120) {
+      return { success: false, error: 'Months must be a whole number from 1 to 120' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const rows = await this.repository.listUnusedPasswords(userId, period);
+      const passwords = rows.map(row => ({
+        id: row.id,
+        label: decryptFields('passwords', row, userId, this.encryptionKey).label,
+        access_count: row.access_count || 0,
+        last_accessed: row.last_accessed,
+        created_at: row.created_at
+      }));
+      return { success: true, passwords };
+    } catch (error) {
+      console.error('Error listing unused passwords:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Expiry and rotation
+  // Passwords that have expired or expire soon, soonest first, for the
+  // reminder checker in the main process
+  async getExpiringPasswords() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const passwords = (await this.repository.listPasswords(userId))
+        .map(row => ({ row, status: expiryStatus(row.expires_at) }))
+        .filter(({ status }) => status)
+        .map(({ row, status }) => ({
+          id: row.id,
+          label: decryptFields('passwords', row, userId, this.encryptionKey).label,
+          expires_at: row.expires_at,
+          status
+        }))
+        .sort((a, b) => a.expires_at.localeCompare(b.expires_at));
+      return { success: true, passwords };
+    } catch (error) {
+      console.error('Error listing expiring passwords:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Push an entry's expiry `days` from today
+  async snoozeExpiry(passwordId, days = DEFAULT_SNOOZE_DAYS) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const snoozeDays = Number(days);
+    if (!Number.isInteger(snoozeDays) || snoozeDays < 1 || snoozeDays > 365) {
+      return { success: false, error: 'Snooze must be from 1 to 365 days' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const row = await this.repository.getPasswordExpiry(passwordId, userId);
+      if (!row) return { success: false, error: 'Password not found' };
+
+      const expiresAt = addDays(snoozeDays);
+      await this.repository.updateColumns('passwords', row.id, userId, { expires_at: expiresAt });
+      await this.audit('snooze_expiry', { entryId: row.id, details: { expiresAt, days: snoozeDays } });
+      return { success: true, expires_at: expiresAt };
+    } catch (error) {
+      console.error('Error snoozing expiry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The password was changed outside the vault, e.g. on the website. Starts a
+  // new rotation interval, or clears the expiry of an entry without one.
+  async markPasswordRotated(passwordId) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const row = await this.repository.getPasswordExpiry(passwordId, userId);
+      if (!row) return { success: false, error: 'Password not found' };
+
+      const expiresAt = row.rotation_days ? addDays(row.rotation_days) : null;
+      await this.repository.updateColumns('passwords', row.id, userId, { expires_at: expiresAt }, { touch: true });
+      await this.audit('rotate_password', { entryId: row.id, details: { expiresAt } });
+      return { success: true, expires_at: expiresAt };
+    } catch (error) {
+      console.error('Error marking password rotated:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Snoozes and rotations of an entry, newest first, from the audit log
+  async getExpiryHistory(passwordId) {
+    const log = await this.getAuditLog({ entryId: passwordId });
+    if (!log.success) return log;
+
+    const history = log.events
+      .filter(entry => entry.event === 'snooze_expiry' || entry.event === 'rotate_password')
+      .map(entry => ({ created_at: entry.created_at, event: entry.event, expires_at: entry.details.expiresAt || null }));
+    return { success: true, history };
+  }
+
+  // Bulk operations
+  // Apply `changes` to the passwords in `ids` in one transaction:
+  //   folder_id (or a legacy category name), addTags, removeTags,
+  //   is_favorite, and delete (move to the trash).
+  // Resolves with a result per id. Ids that are missing fail on their own;
+  // any other error rolls the whole batch back. The state before the batch is
+  // kept so undoBulkUpdate can put it back.
+  async bulkUpdatePasswords({ ids = [], changes = {} } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { success: false, error: 'No passwords selected' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const index = await this.getSearchIndex();
+      const folderId = await this.resolveFolderId(changes, userId);
+      const addTags = parseTags(changes.addTags);
+      const removeTags = parseTags(changes.removeTags).map(tag => tag.toLowerCase());
+      const editsTags = addTags.length > 0 || removeTags.length > 0;
+      const hasChange = folderId !== undefined || editsTags || changes.is_favorite !== undefined || changes.delete;
+      if (!hasChange) {
+        return { success: false, error: 'No changes given' };
+      }
+
+      const rows = new Map((await this.repository.listPasswords(userId)).map(row => [row.id, row]));
+      const results = [];
+      const snapshot = [];
+      const reindexed = new Map();
+
+      await this.repository.withTransaction(async () => {
+        for (const id of new Set(ids.map(Number))) {
+          const row = rows.get(id);
+          if (!row) {
+            results.push({ id, success: false, error: 'Password not found' });
+            continue;
+          }
+          const fields = decryptFields('passwords', row, userId, this.encryptionKey);
+          snapshot.push({ id, folder_id: row.folder_id, tags: fields.tags, is_favorite: row.is_favorite ? 1 : 0, deleted: Boolean(changes.delete) });
+
+          const values = {};
+          if (folderId !== undefined) values.folder_id = folderId;
+          if (changes.is_favorite !== undefined) values.is_favorite = changes.is_favorite ? 1 : 0;
+          if (editsTags) {
+            const tags = parseTags(fields.tags).filter(tag => !removeTags.includes(tag.toLowerCase()));
+            for (const tag of addTags) {
+              if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+            }
+            Object.assign(values, encryptColumns('passwords', id, userId, { tags: tags.join(', ') }, this.encryptionKey));
+            reindexed.set(id, { ...fields, tags: tags.join(', ') });
+          }
+
+          if (Object.keys(values).length > 0) {
+            await this.repository.updateColumns('passwords', id, userId, values, { touch: true });
+          }
+          if (changes.delete) {
+            await this.repository.moveToTrash('passwords', id, userId);
+          }
+          results.push({ id, success: true });
+        }
+      });
+
+      // The index only changes once the batch has committed
+      for (const { id, success } of results) {
+        if (!success) continue;
+        if (changes.delete) {
+          index.delete(id);
+        } else if (reindexed.has(id)) {
+          index.set(id, reindexed.get(id));
+        }
+        await this.audit(changes.delete ? 'delete_password' : 'update_password', { entryId: id, details: { bulk: true } });
+      }
+
+      const undoToken = crypto.randomBytes(16).toString('hex');
+      this.bulkUndo = snapshot.length > 0 ? { token: undoToken, userId, snapshot } : null;
+      return {
+        success: true,
+        results,
+        updated: results.filter(result => result.success).length,
+        undoToken: this.bulkUndo ? undoToken : null
+      };
+    } catch (error) {
+      console.error('Bulk update error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Put back the passwords changed by the last bulk update, given its token
+  async undoBulkUpdate(undoToken) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    const undo = this.bulkUndo;
+    if (!undo || undo.token !== undoToken || undo.userId !== userId) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    try {
+      const index = await this.getSearchIndex();
+      await this.repository.withTransaction(async () => {
+        for (const { id, folder_id: folderId, tags, is_favorite: isFavorite, deleted } of undo.snapshot) {
+          if (deleted) {
+            await this.repository.restoreFromTrash('passwords', id, userId);
+          }
+          await this.repository.updateColumns('passwords', id, userId, {
+            ...encryptColumns('passwords', id, userId, { tags }, this.encryptionKey),
+            folder_id: folderId,
+            is_favorite: isFavorite
+          });
+        }
+      });
+      this.bulkUndo = null;
+
+      const rows = new Map((await this.repository.listPasswords(userId)).map(row => [row.id, row]));
+      for (const { id, deleted } of undo.snapshot) {
+        if (rows.has(id)) {
+          index.set(id, decryptFields('passwords', rows.get(id), userId, this.encryptionKey));
+        }
+        if (deleted) {
+          await this.audit('restore_password', { entryId: id });
+        }
+      }
+      return { success: true, restored: undo.snapshot.length };
+    } catch (error) {
+      console.error('Undo bulk update error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Structured items
+  // Field definitions per type, for building forms in the renderer
+  getItemTypes() {
+    return { success: true, types: ITEM_TYPES };
+  }
+
+  // A row with its title, tags and values decrypted and its folder path from
+  // `paths`. Values failing their integrity check are dropped and the item
+  // flagged as tampered.
+  decryptItem(row, paths = new Map()) {
+    const userId = this.currentUser.id;
+    const fields = decryptFields('items', row, userId, this.encryptionKey);
+    let data = {};
+    let tampered = Boolean(fields.tampered);
+    try {
+      data = parseItemData(decrypt(row.data.toString(), rowContext('items', row.id, userId), this.encryptionKey));
+    } catch (error) {
+      console.error('Error decrypting item', row.id, error.message);
+      tampered = true;
+    }
+
+    return {
+      id: row.id,
+      item_type: row.item_type,
+      title: fields.title,
+      tags: fields.tags,
+      folder_id: row.folder_id,
+      folder: paths.get(row.folder_id) || '',
+      is_favorite: row.is_favorite,
+      is_file: row.is_file,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      data,
+      summary: itemSummary(row.item_type, data),
+      ...(tampered ? { tampered: true } : {})
+    };
+  }
+
+  async getItems() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const userId = this.currentUser.id;
+      const rows = await this.repository.listItems(userId);
+      const paths = await this.getFolderPaths(userId);
+      return { success: true, items: rows.map(row => this.decryptItem(row, paths)) };
+    } catch (error) {
+      console.error('Error getting items:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async addItem(itemData = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { item_type: itemType, title, tags = '', is_favorite = false } = itemData;
+      if (!title) {
+        return { success: false, error: 'Title is required' };
+      }
+      const data = normalizeItemData(itemType, itemData.data);
+
+      const userId = this.currentUser.id;
+      const folderId = await this.resolveFolderId(itemData, userId);
+      const id = await this.insertEncryptedRow(
+        'items',
+        () => this.repository.insertItem(userId, itemType, folderId ?? null, is_favorite),
+        { title, tags, data: JSON.stringify(data) },
+        userId
+      );
+      await this.audit('add_item', { entryId: id, details: { type: itemType } });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Error adding item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The type of an item cannot change; its values are validated against it
+  async updateItem({ id, ...itemData } = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const { title, tags = '' } = itemData;
+      if (!id) {
+        return { success: false, error: 'Item ID is required' };
+      }
+      if (!title) {
+        return { success: false, error: 'Title is required' };
+      }
+
+      const userId = this.currentUser.id;
+      const row = await this.repository.getItem(id, userId);
+      if (!row) {
+        return { success: false, error: 'Item not found' };
+      }
+      const data = normalizeItemData(row.item_type, itemData.data);
+      const folderId = await this.resolveFolderId(itemData, userId);
+
+      await this.repository.updateColumns('items', row.id, userId, {
+        ...encryptFields('items', row.id, userId, { title, tags }, this.encryptionKey),
+        data: encrypt(JSON.stringify(data), rowContext('items', row.id, userId), this.encryptionKey),
+        ...(folderId === undefined ? {} : { folder_id: folderId }),
+        ...(itemData.is_favorite === undefined ? {} : { is_favorite: itemData.is_favorite ? 1 : 0 })
+      }, { touch: true });
+      await this.audit('update_item', { entryId: row.id });
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteItem(id) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const changes = await this.repository.moveToTrash('items', id, this.currentUser.id);
+      if (changes === 0) {
+        return { success: false, error: 'Item not found' };
+      }
+      await this.audit('delete_item', { entryId: id });
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One value of an item for copying to the clipboard
+  async getItemFieldValue(id, fieldKey) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const row = await this.repository.getItem(id, this.currentUser.id);
+      if (!row) {
+        return { success: false, error: 'Item not found' };
+      }
+      const item = this.decryptItem(row);
+      const definition = ITEM_TYPES[item.item_type] && ITEM_TYPES[item.item_type].fields.find(field => field.key === fieldKey);
+      if (!definition || !item.data[fieldKey]) {
+        return { success: false, error: 'Field not found' };
+      }
+
+      await this.audit('copy_item_field', { entryId: item.id, details: { field: fieldKey } });
+      return { success: true, label: definition.label, value: item.data[fieldKey] };
+    } catch (error) {
+      console.error('Error copying item field:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Items reach the renderer decrypted, so it reports showing a concealed value
+  async recordItemReveal(id, fieldKey) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    await this.audit('reveal_item_field', { entryId: id, details: { field: fieldKey } });
+    return { success: true };
+  }
+
+  // Trash
+  // Permanently delete entries trashed at least `days` days ago (0 for all)
+  purgeTrash(userId, days) {
+    return this.repository.withTransaction(async () => {
+      const purged = await this.repository.purgeTrash(userId, days);
+      if (purged.passwords + purged.notes + purged.items > 0) {
+        console.log('[INFO] Purged', purged.passwords, 'passwords,', purged.notes, 'notes and', purged.items, 'items from the trash of user', userId);
+      }
+      return purged;
+    });
+  }
+
+  // Trashed passwords, notes and items with their names decrypted; secrets stay
+  // encrypted until an entry is restored
+  async getTrash() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    const userId = this.currentUser.id;
+    try {
+      const paths = await this.getFolderPaths(userId);
+      const folder = row => paths.get(row.folder_id) || '';
+      const passwords = (await this.repository.listTrash('passwords', userId)).map(row => {
+        const fields = decryptFields('passwords', row, userId, this.encryptionKey);
+        return { id: row.id, type: 'password', name: fields.label, folder: folder(row), deleted_at: row.deleted_at };
+      });
+      const notes = (await this.repository.listTrash('secure_notes', userId)).map(row => {
+        const fields = decryptFields('secure_notes', row, userId, this.encryptionKey);
+        return { id: row.id, type: 'note', name: fields.title, folder: folder(row), deleted_at: row.deleted_at };
+      });
+      const items = (await this.repository.listTrash('items', userId)).map(row => {
+        const fields = decryptFields('items', row, userId, this.encryptionKey);
+        return { id: row.id, type: 'item', itemType: row.item_type, name: fields.title, folder: folder(row), deleted_at: row.deleted_at };
+      });
+      return { success: true, passwords, notes, items, settings: getTrashSettings(this.currentUser) };
+    } catch (error) {
+      console.error('Error getting trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Restore one or more trashed items, given as { type: 'password' | 'note' | 'item', id }.
+  // A password is not restored while another entry uses its label.
+  async restoreFromTrash(items = []) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+    if (!Array.isArray(items) || items.length === 0) {
+      return { success: false, error: 'No items selected' };
+    }
+
+    const userId = this.currentUser.id;
+    try {
+      const index = await this.getSearchIndex();
+      const trashed = {
+        password: await this.repository.listTrash('passwords', userId),
+        note: await this.repository.listTrash('secure_notes', userId),
+        item: await this.repository.listTrash('items', userId)
+      };
+
+      const restored = [];
+      const failed = [];
+      for (const { type, id } of items) {
+        const table = ENTRY_TABLES[type];
+        const row = table && trashed[type].find(entry => entry.id === Number(id));
+        if (!row) {
+          failed.push({ type, id, error: 'Not found in trash' });
+          continue;
+        }
+
+        const fields = decryptFields(table, row, userId, this.encryptionKey);
+        if (type === 'password' && index.hasLabel(fields.label)) {
+          failed.push({ type, id, error: 'A password with this label already exists' });
+          continue;
+        }
+
+        await this.repository.restoreFromTrash(table, row.id, userId);
+        if (type === 'password') {
+          index.set(row.id, fields);
+        }
+        restored.push({ type, id: row.id });
+        await this.audit(`restore_${type}`, { entryId: row.id });
+      }
+
+      return { success: true, restored, failed };
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async emptyTrash() {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const purged = await this.purgeTrash(this.currentUser.id, 0);
+      await this.audit('empty_trash', { details: purged });
+      return { success: true, ...purged };
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Shortening the retention period purges newly expired entries straight away
+  async updateTrashSettings(newSettings = {}) {
+    if (!this.currentUser) return { success: false, error: 'Not authenticated' };
+
+    try {
+      const retentionDays = parseInt(newSettings.retentionDays, 10);
+      if (isNaN(retentionDays) || retentionDays < 0 || retentionDays > MAX_TRASH_RETENTION_DAYS) {
+        return { success: false, error: `Trash retention must be between 0 and ${MAX_TRASH_RETENTION_DAYS} days` };
+      }
+
+      const user = await this.repository.getUser(this.currentUser.id);
+      const settings = parseUserSettings(user || {});
+      settings.trash = { retentionDays };
+      await this.repository.updateSettings(this.currentUser.id, settings);
+      if (retentionDays > 0) {
+        await this.purgeTrash(this.currentUser.id, retentionDays);
+      }
+
+      this.currentUser = { ...this.currentUser, settings: JSON.stringify(settings) };
+      return { success: true, settings: getTrashSettings(this.currentUser) };
+    } catch (error) {
+      console.error('Update trash settings error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  VaultService,
+  MAX_ATTACHMENT_SIZE,
+  SECRET_COLUMNS,
+  ENCRYPTED_FIELDS,
+  rowContext,
+  columnContext,
+  backupContext
+};
@@ -35,6 +35,7 @@ class MemoryConfig {
         disableEffects: true,
         gcInterval: 15000, // 15 seconds
         cleanupInterval: 60000, // 1 minute
+        kdfCost: 14, // scrypt N = 2^14 (~16MB per unlock)
         electronArgs: [
           '--disable-gpu',
           '--disable-software-rasterizer',
@@ -61,6 +62,7 @@ class MemoryConfig {
         disableEffects: true,
         gcInterval: 30000, // 30 seconds
         cleanupInterval: 120000, // 2 minutes
+        kdfCost: 15, // scrypt N = 2^15 (~32MB per unlock)
         electronArgs: [
           '--disable-gpu',
           '--disable-software-rasterizer',
@@ -83,6 +85,7 @@ class MemoryConfig {
         disableEffects: false,
         gcInterval: 60000, // 1 minute
         cleanupInterval: 180000, // 3 minutes
+        kdfCost: 15, // scrypt N = 2^15 (~32MB per unlock)
         electronArgs: [
           '--disable-gpu-sandbox',
           '--disable-software-rasterizer',
@@ -103,6 +106,7 @@ class MemoryConfig {
         disableEffects: false,
         gcInterval: 120000, // 2 minutes
         cleanupInterval: 300000, // 5 minutes
+        kdfCost: 16, // scrypt N = 2^16 (~64MB per unlock)
         electronArgs: [
           '--disable-gpu-sandbox',
           '--memory-pressure-off'
@@ -117,6 +121,7 @@ class MemoryConfig {
         disableEffects: false,
         gcInterval: 300000, // 5 minutes
         cleanupInterval: 600000, // 10 minutes
+        kdfCost: 17, // scrypt N = 2^17 (~128MB per unlock)
         electronArgs: [
           '--disable-gpu-sandbox'
         ]
@@ -179,6 +184,17 @@ class MemoryConfig {
     return this.config.gcInterval;
   }
 
+  // scrypt parameters for master password key derivation, sized to the profile
+  getKdfParams() {
+    const cost = parseInt(process.env.VAULT_KDF_COST, 10) || this.config.kdfCost;
+    return {
+      algorithm: 'scrypt',
+      N: Math.pow(2, cost),
+      r: 8,
+      p: 1
+    };
+  }
+
   getCleanupInterval() {
     return this.config.cleanupInterval;
   }
@@ -212,6 +228,7 @@ class MemoryConfig {
     console.log(`  Window Size: ${this.config.windowSize.width}x${this.config.windowSize.height}`);
     console.log(`  Animations Disabled: ${this.config.disableAnimations}`);
     console.log(`  Effects Disabled: ${this.config.disableEffects}`);
+    console.log(`  KDF: scrypt N=${this.getKdfParams().N}`);
   }
 }
 